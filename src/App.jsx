@@ -1,120 +1,808 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react'
 import ImageCanvas from './components/ImageCanvas'
+import IntensityProfile from './components/IntensityProfile'
 import ImageThumbnails from './components/ImageThumbnails'
 import ImageUpload from './components/ImageUpload'
 import ResultsTable from './components/ResultsTable'
-import { processImage } from './utils/imageProcessing'
+import ProgressionChart from './components/ProgressionChart'
+import SessionList from './components/SessionList'
+import ExportMenu from './components/ExportMenu'
+import SessionImport from './components/SessionImport'
+import SeriesList from './components/SeriesList'
+import SeriesComparisonChart from './components/SeriesComparisonChart'
+import { analyzeImages } from './utils/analysisRunner'
+import { INTENSITY_METRICS } from './utils/intensityMetrics'
+import { LINE_DETECTORS } from './utils/lineDetectors'
+import { getAnalysisKey, getStaleImages } from './utils/analysisCache'
+import { createSeries, deriveSeries, flattenSeries, restoreSeries, DEFAULT_SERIES_NAME } from './utils/series'
+import { analyzeTrend, DEFAULT_DEVIATION_THRESHOLD } from './utils/trendAnalysis'
+import { ROI_TARGETS, DEFAULT_ROI_TARGET } from './utils/roiTargets'
+import { getSession, saveSession } from './utils/sessionStore'
+import { createSessionRecord, fromStoredImage } from './utils/sessionFormat'
+import { hashFile } from './utils/fileHash'
+import { prepareImageFile } from './utils/imageFiles'
+import { applyAutomaticDPO, isValidOvulationDate } from './utils/dpo'
+import { placeROIs } from './utils/roiRegistration'
 import './App.css'
 
+// Delay between the last change and the automatic save of the open session
+const AUTOSAVE_DELAY = 1000
+// Delay between the last change and the automatic analysis of ready images
+const AUTO_ANALYSIS_DELAY = 500
+// Abort reason of an analysis whose images were discarded, which is not reported
+const IMAGES_DISCARDED = 'images-discarded'
+
+let nextImageId = Date.now()
+
+/**
+ * Create the in-memory record of a newly added image file
+ * @param {File} file - Upright image file (see prepareImageFile)
+ * @param {string} hash - Content hash of the file as uploaded, before any re-encoding
+ * @param {Object} metadata - { captureTime } read from the file's EXIF data
+ */
+function createImage(file, hash, metadata = {}) {
+  return {
+    id: nextImageId++,
+    file,
+    hash,
+    url: URL.createObjectURL(file),
+    captureTime: metadata.captureTime ?? null,
+    transform: null, // { rotation } applied before painting and analysis
+    roi: null,
+    controlRoi: null,
+    backgroundRoi: null,
+    whiteRoi: null, // blank paper or a grey card, used to white-balance the analysis
+    roiPlacement: null, // { sourceId, confidence } while the ROIs are copied from another image and unchecked
+    dpo: null,
+    dpoSource: null, // 'exif' when derived from captureTime, 'manual' when typed in
+    timeOfDay: null, // optional TIME_OF_DAY label for telling same-day tests apart
+    rgb: null,
+    detection: null,
+  }
+}
+
+function hasROI(image) {
+  return Object.values(ROI_TARGETS).some(({ field }) => image[field])
+}
+
 function App() {
-  const [images, setImages] = useState([])
+  // Independent series of images, e.g. one per test brand (see series)
+  const [seriesList, setSeriesList] = useState(() => [createSeries(DEFAULT_SERIES_NAME)])
+  const [activeSeriesId, setActiveSeriesId] = useState(null) // null shows the first series
   const [selectedImageIndex, setSelectedImageIndex] = useState(0)
   const [processing, setProcessing] = useState(false)
-  const [results, setResults] = useState([])
-
-  const handleImageUpload = useCallback((files) => {
-    const newImages = Array.from(files).map((file, index) => ({
-      id: Date.now() + index,
-      file,
-      url: URL.createObjectURL(file),
-      roi: null,
-      dpo: null,
-      rgb: null,
-    }))
-    setImages(newImages)
-    setSelectedImageIndex(0)
+  const [analysisProgress, setAnalysisProgress] = useState(null) // { done, total } while analysing
+  const analysisControllerRef = useRef(null)
+  const analysisSeriesIdRef = useRef(null) // Series the running analysis belongs to
+  const [placingROIs, setPlacingROIs] = useState(false)
+  // Unsaved painting per image and ROI target, kept while other images are shown
+  // (saved painting is dropped then and rebuilt from the ROI):
+  // image id → { [target]: { mask, history, redoStack, dirty } } (see paintMask)
+  const paintStatesRef = useRef(new Map())
+  const [unsavedImageIds, setUnsavedImageIds] = useState(() => new Set())
+  const [autoAnalyze, setAutoAnalyze] = useState(true)
+  const [deviationThreshold, setDeviationThreshold] = useState(DEFAULT_DEVIATION_THRESHOLD)
+  const [ovulationDate, setOvulationDate] = useState('') // "YYYY-MM-DD", used to derive DPO
+  const [notices, setNotices] = useState([])
+  const [autosaveError, setAutosaveError] = useState(null) // Reason the last automatic save failed
+  const [session, setSession] = useState(null) // {id, name, createdAt} of the open saved session
+  const [sessionListVersion, setSessionListVersion] = useState(0)
+  const skipAutosaveRef = useRef(false)
+
+  const activeSeries = seriesList.find(series => series.id === activeSeriesId) ?? seriesList[0]
+  // The analysis cache of the series maps image id → { key, analysis } or { key, error } (see analysisCache)
+  const { images, analyses, metric, detector } = activeSeries
+  const { keys: analysisKeys, results } = deriveSeries(activeSeries)
+
+  const updateSeries = useCallback((seriesId, update) => {
+    setSeriesList(prev => prev.map(series => series.id === seriesId ? { ...series, ...update(series) } : series))
   }, [])
 
-  const handleROIUpdate = useCallback((index, roi) => {
-    setImages(prev => prev.map((img, i) => 
-      i === index ? { ...img, roi } : img
+  // State setters for one field of a series, taking a value or an updater like useState's
+  const seriesSetter = useCallback((seriesId, field) => (value) => {
+    updateSeries(seriesId, series => ({ [field]: typeof value === 'function' ? value(series[field]) : value }))
+  }, [updateSeries])
+  const setImages = useMemo(() => seriesSetter(activeSeries.id, 'images'), [seriesSetter, activeSeries.id])
+  const setAnalyses = useMemo(() => seriesSetter(activeSeries.id, 'analyses'), [seriesSetter, activeSeries.id])
+  const setMetric = useMemo(() => seriesSetter(activeSeries.id, 'metric'), [seriesSetter, activeSeries.id])
+  const setDetector = useMemo(() => seriesSetter(activeSeries.id, 'detector'), [seriesSetter, activeSeries.id])
+
+  const trend = useMemo(
+    () => analyzeTrend(results, { deviationThreshold }),
+    [results, deviationThreshold]
+  )
+
+  const handleImageUpload = useCallback(async (files) => {
+    // Images restored from older sessions may not have a content hash yet
+    const existingHashes = new Map(await Promise.all(
+      images.map(async img => [img.id, img.hash || await hashFile(img.file)])
     ))
+    const knownHashes = new Set(existingHashes.values())
+
+    const added = []
+    const skipped = []
+    const rejected = []
+    for (const file of Array.from(files)) {
+      const hash = await hashFile(file)
+      if (knownHashes.has(hash)) {
+        skipped.push(file.name)
+        continue
+      }
+
+      let prepared
+      try {
+        prepared = await prepareImageFile(file)
+      } catch (err) {
+        rejected.push(`Could not add ${file.name}: ${err.message}`)
+        continue
+      }
+      knownHashes.add(hash)
+      added.push(applyAutomaticDPO(createImage(prepared.file, hash, prepared.metadata), ovulationDate))
+    }
+
+    // Append to the current series instead of replacing it
+    setImages(prev => [
+      ...prev.map(img => img.hash ? img : { ...img, hash: existingHashes.get(img.id) ?? null }),
+      ...added,
+    ])
+    if (added.length > 0) setSelectedImageIndex(images.length)
+    setNotices([
+      ...rejected,
+      ...(skipped.length > 0
+        ? [`Skipped ${skipped.length} file${skipped.length === 1 ? '' : 's'} already in the series: ${skipped.join(', ')}`]
+        : []),
+    ])
+  }, [images, setImages, ovulationDate])
+
+  const getPaintState = useCallback((imageId, target) => {
+    return paintStatesRef.current.get(imageId)?.[target] ?? null
+  }, [])
+
+  // A null state means there is nothing to keep beyond the saved ROI
+  const handlePaintStateChange = useCallback((imageId, target, state) => {
+    const states = { ...paintStatesRef.current.get(imageId), [target]: state }
+    if (!state) delete states[target]
+    if (Object.keys(states).length > 0) paintStatesRef.current.set(imageId, states)
+    else paintStatesRef.current.delete(imageId)
+    const unsaved = Object.values(states).some(paintState => paintState.dirty)
+    setUnsavedImageIds(prev => {
+      if (prev.has(imageId) === unsaved) return prev
+      const next = new Set(prev)
+      if (unsaved) next.add(imageId)
+      else next.delete(imageId)
+      return next
+    })
   }, [])
 
+  // Painting no longer matches once an image's ROIs or pixels change elsewhere
+  const discardPaintStates = useCallback((ids) => {
+    ids.forEach(id => paintStatesRef.current.delete(id))
+    setUnsavedImageIds(prev => ids.some(id => prev.has(id)) ? new Set([...prev].filter(id => !ids.includes(id))) : prev)
+  }, [])
+
+  const forgetAnalyses = (ids) => {
+    setAnalyses(prev => {
+      if (!ids.some(id => prev.has(id))) return prev
+      const next = new Map(prev)
+      ids.forEach(id => next.delete(id))
+      return next
+    })
+  }
+
+  // Only the given images are checked when ids are passed
+  const confirmDiscardPaint = (ids = null) => {
+    const unsaved = ids ? ids.some(id => unsavedImageIds.has(id)) : unsavedImageIds.size > 0
+    return !unsaved ||
+      window.confirm('ROI painting that has not been saved with "Save ROI" will be lost. Continue?')
+  }
+
+  const handleRemoveImage = useCallback((id) => {
+    const index = images.findIndex(img => img.id === id)
+    if (index === -1) return
+
+    URL.revokeObjectURL(images[index].url)
+    discardPaintStates([id])
+    setImages(prev => prev.filter(img => img.id !== id))
+    forgetAnalyses([id])
+    setSelectedImageIndex(prev => Math.max(0, prev > index ? prev - 1 : Math.min(prev, images.length - 2)))
+  }, [images, setImages, setAnalyses])
+
+  const handleReplaceImage = useCallback(async (id, file) => {
+    const hash = await hashFile(file)
+    const duplicate = images.find(img => img.id !== id && img.hash === hash)
+    if (duplicate) {
+      setNotices([`${file.name} is already in the series as ${duplicate.file.name}`])
+      return
+    }
+
+    let prepared
+    try {
+      prepared = await prepareImageFile(file)
+    } catch (err) {
+      setNotices([`Could not use ${file.name}: ${err.message}`])
+      return
+    }
+
+    const previous = images.find(img => img.id === id)
+    if (previous) URL.revokeObjectURL(previous.url)
+    discardPaintStates([id])
+
+    // Keep the DPO (re-derived from the new capture time unless entered by
+    // hand), but ROIs and results belong to the old photo
+    setImages(prev => prev.map(img =>
+      img.id === id
+        ? applyAutomaticDPO({ ...createImage(prepared.file, hash, prepared.metadata), id, dpo: img.dpo, dpoSource: img.dpoSource }, ovulationDate)
+        : img
+    ))
+    forgetAnalyses([id])
+    setNotices([])
+  }, [images, setImages, setAnalyses, ovulationDate])
+
+  const handleROIUpdate = useCallback((index, roi, target = DEFAULT_ROI_TARGET) => {
+    const { field } = ROI_TARGETS[target]
+    setImages(prev => prev.map((img, i) => 
+      // A new ROI invalidates the detection overlay of the previous analysis;
+      // saving one also counts as checking copied ROIs
+      i === index ? { ...img, [field]: roi, roiPlacement: null, detection: null } : img
+    ))
+  }, [setImages])
+
+  /**
+   * Copy the selected image's ROIs to the next image or to every other image,
+   * locating the strip on each one (see placeROIs)
+   * @param {string} scope - 'next' or 'all'
+   */
+  const handleApplyROI = async (scope) => {
+    const source = images[selectedImageIndex]
+    if (!source || !hasROI(source)) return
+    const targets = scope === 'next'
+      ? images.slice(selectedImageIndex + 1, selectedImageIndex + 2)
+      : images.filter(img => img.id !== source.id)
+    if (targets.length === 0) return
+
+    const replaced = targets.filter(hasROI).length
+    if (replaced > 0 &&
+        !window.confirm(`Replace the ROIs already saved on ${replaced} image${replaced === 1 ? '' : 's'}?`)) {
+      return
+    }
+
+    setPlacingROIs(true)
+    const placements = new Map()
+    const failed = []
+    try {
+      for (const target of targets) {
+        try {
+          const placement = await placeROIs(source, target)
+          if (placement && hasROI(placement.rois)) placements.set(target.id, placement)
+          else failed.push(target.file.name)
+        } catch (err) {
+          console.error('Failed to place ROIs:', err)
+          failed.push(target.file.name)
+        }
+      }
+    } finally {
+      setPlacingROIs(false)
+    }
+
+    discardPaintStates([...placements.keys()])
+    setImages(prev => prev.map(img => {
+      const placement = placements.get(img.id)
+      return placement
+        ? { ...img, ...placement.rois, roiPlacement: { sourceId: source.id, confidence: placement.confidence }, detection: null }
+        : img
+    }))
+    setNotices(failed.map(name => `Could not find the ROI area on ${name}; paint its ROIs by hand`))
+    // Move on to the copy so it can be checked
+    if (scope === 'next' && placements.size > 0) setSelectedImageIndex(selectedImageIndex + 1)
+  }
+
+  const handleAcceptPlacement = useCallback((id) => {
+    setImages(prev => prev.map(img => img.id === id ? { ...img, roiPlacement: null } : img))
+  }, [setImages])
+
+  const handleTransformUpdate = useCallback((index, transform) => {
+    // ROIs, painting and the detection overlay are in the coordinates of the old rotation
+    discardPaintStates([images[index].id])
+    setImages(prev => prev.map((img, i) =>
+      i === index
+        ? { ...img, transform, roi: null, controlRoi: null, backgroundRoi: null, whiteRoi: null, roiPlacement: null, detection: null }
+        : img
+    ))
+  }, [images, setImages])
+
   const handleDPOUpdate = useCallback((index, dpo) => {
+    // Anything typed in, even an empty field, overrides the derived DPO
+    const value = parseFloat(dpo)
     setImages(prev => prev.map((img, i) => 
-      i === index ? { ...img, dpo: dpo ? parseInt(dpo) : null } : img
+      i === index ? { ...img, dpo: Number.isFinite(value) ? value : null, dpoSource: 'manual' } : img
     ))
-  }, [])
+  }, [setImages])
 
-  const canStart = images.length > 0 && 
-    images.every(img => img.roi !== null && img.dpo !== null)
+  // Go back to the DPO derived from the capture time
+  const handleDPOReset = useCallback((index) => {
+    setImages(prev => prev.map((img, i) =>
+      i === index ? applyAutomaticDPO({ ...img, dpoSource: null }, ovulationDate) : img
+    ))
+  }, [setImages, ovulationDate])
+
+  const handleTimeOfDayUpdate = useCallback((index, timeOfDay) => {
+    setImages(prev => prev.map((img, i) => i === index ? { ...img, timeOfDay: timeOfDay || null } : img))
+  }, [setImages])
 
-  const handleStart = async () => {
-    if (!canStart) return
+  // The ovulation date is shared by all series
+  const handleOvulationDateChange = (value) => {
+    setOvulationDate(value)
+    setSeriesList(prev => prev.map(series => ({
+      ...series,
+      images: series.images.map(img => applyAutomaticDPO(img, value)),
+    })))
+  }
 
+  const showSeries = (seriesId) => {
+    setActiveSeriesId(seriesId)
+    setSelectedImageIndex(0)
+  }
+
+  const handleAddSeries = (name) => {
+    // A new series starts with the analysis settings of the one on screen
+    const series = createSeries(name, activeSeries)
+    setSeriesList(prev => [...prev, series])
+    showSeries(series.id)
+  }
+
+  const handleRenameSeries = (id, name) => {
+    updateSeries(id, () => ({ name }))
+  }
+
+  const handleDeleteSeries = (id) => {
+    const series = seriesList.find(item => item.id === id)
+    if (!series || seriesList.length === 1) return
+    if (!confirmDiscardPaint(series.images.map(img => img.id))) return
+
+    // Its results would arrive for images that no longer exist
+    if (analysisSeriesIdRef.current === id) analysisControllerRef.current?.abort(IMAGES_DISCARDED)
+    series.images.forEach(img => URL.revokeObjectURL(img.url))
+    discardPaintStates(series.images.map(img => img.id))
+    const remaining = seriesList.filter(item => item.id !== id)
+    setSeriesList(remaining)
+    if (id === activeSeries.id) showSeries(remaining[0].id)
+  }
+
+  const getSessionState = () => ({
+    ...flattenSeries(seriesList),
+    settings: { deviationThreshold, ovulationDate },
+  })
+
+  const handleSaveSession = async (name) => {
+    const saved = await saveSession(createSessionRecord({ name }, getSessionState()))
+    // Just saved, no need for an automatic save of the same state
+    skipAutosaveRef.current = true
+    setAutosaveError(null)
+    setSession({ id: saved.id, name: saved.name, createdAt: saved.createdAt })
+    setSessionListVersion(version => version + 1)
+  }
+
+  // Object URLs of discarded images must be released explicitly
+  const discardImages = () => {
+    // Sessions reuse series and image ids, so a late result could land in the next one
+    analysisControllerRef.current?.abort(IMAGES_DISCARDED)
+    const allImages = seriesList.flatMap(series => series.images)
+    allImages.forEach(img => URL.revokeObjectURL(img.url))
+    discardPaintStates(allImages.map(img => img.id))
+  }
+
+  const loadSeries = (loaded) => {
+    setSeriesList(loaded)
+    showSeries(loaded[0].id)
+  }
+
+  const handleOpenSession = async (id) => {
+    if (!confirmDiscardPaint()) return
+    const record = await getSession(id)
+    if (!record) throw new Error('Session not found')
+
+    discardImages()
+    // Opening only loads the stored state, it must not bump updatedAt
+    skipAutosaveRef.current = true
+    loadSeries(restoreSeries({ ...record, images: record.images.map(fromStoredImage) }))
+    applySettings(record.settings)
+    setSession({ id: record.id, name: record.name, createdAt: record.createdAt })
+  }
+
+  // Restore the session-wide settings, ignoring unknown or missing values;
+  // metric and detector belong to each series (see restoreSeries)
+  const applySettings = (settings = {}) => {
+    setDeviationThreshold(settings.deviationThreshold > 0 ? settings.deviationThreshold : DEFAULT_DEVIATION_THRESHOLD)
+    setOvulationDate(isValidOvulationDate(settings.ovulationDate) ? settings.ovulationDate : '')
+  }
+
+  // Returns whether the session was imported
+  const handleImportSession = ({ name, settings, series, storedImages, results: importedResults }) => {
+    if (!confirmDiscardPaint()) return false
+    discardImages()
+    // Results of images that were not re-linked are dropped, the rest re-derived
+    const imported = restoreSeries({
+      series,
+      settings,
+      images: storedImages.map(fromStoredImage),
+      results: importedResults,
+    })
+    loadSeries(imported)
+    applySettings(settings)
+    // An imported session is not saved locally until the user saves it
+    setSession(null)
+    const seriesNote = imported.length > 1 ? ` in ${imported.length} series` : ''
+    setNotices(name
+      ? [`Imported session "${name}" with ${storedImages.length} image${storedImages.length === 1 ? '' : 's'}${seriesNote}`]
+      : [])
+    return true
+  }
+
+  const handleNewSession = () => {
+    if (!confirmDiscardPaint()) return
+    discardImages()
+    loadSeries([createSeries(DEFAULT_SERIES_NAME)])
+    setSession(null)
+  }
+
+  const handleSessionRenamed = (id, name) => {
+    if (session?.id === id) setSession(prev => ({ ...prev, name }))
+  }
+
+  const handleSessionDeleted = (id) => {
+    // Keep the current work on screen, just stop saving it
+    if (session?.id === id) setSession(null)
+  }
+
+  // Save the open session automatically shortly after every change
+  useEffect(() => {
+    if (!session) {
+      setAutosaveError(null)
+      return
+    }
+    if (skipAutosaveRef.current) {
+      skipAutosaveRef.current = false
+      return
+    }
+
+    const timer = setTimeout(() => {
+      saveSession(createSessionRecord(session, getSessionState()))
+        .then(() => {
+          setAutosaveError(null)
+          setSessionListVersion(version => version + 1)
+        })
+        // Kept on screen until a save succeeds, e.g. after freeing storage space
+        .catch(err => setAutosaveError(err.message))
+    }, AUTOSAVE_DELAY)
+    return () => clearTimeout(timer)
+  }, [session, seriesList, deviationThreshold, ovulationDate])
+
+  // Painting is only kept in memory, so warn before the page is left with some unsaved
+  useEffect(() => {
+    if (unsavedImageIds.size === 0) return
+    const handleBeforeUnload = (e) => {
+      e.preventDefault()
+      e.returnValue = ''
+    }
+    window.addEventListener('beforeunload', handleBeforeUnload)
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload)
+  }, [unsavedImageIds])
+
+  // Images with a saved ROI and a DPO that have not been analysed with their current settings
+  const staleImages = useMemo(
+    () => getStaleImages(images, analyses, analysisKeys),
+    [images, analyses, analysisKeys]
+  )
+  const waitingCount = images.filter(img => img.roi === null || img.dpo === null).length
+
+  const runAnalysis = async (targets) => {
+    const settings = { metric, detector }
+    // Results go to the series that was analysed, even if another one is shown meanwhile
+    const setSeriesImages = seriesSetter(activeSeries.id, 'images')
+    const setSeriesAnalyses = seriesSetter(activeSeries.id, 'analyses')
+    const sortedImages = [...targets].sort((a, b) => a.dpo - b.dpo)
+    const keys = new Map(sortedImages.map(image => [image.id, getAnalysisKey(image, settings)]))
+    const jobs = sortedImages.map(image => ({
+      id: image.id,
+      imageUrl: image.url,
+      roi: image.roi,
+      options: {
+        metric,
+        controlRoi: image.controlRoi,
+        backgroundRoi: image.backgroundRoi,
+        whiteRoi: image.whiteRoi,
+        detector,
+        transform: image.transform,
+      },
+    }))
+
+    const controller = new AbortController()
+    analysisControllerRef.current = controller
+    analysisSeriesIdRef.current = activeSeries.id
     setProcessing(true)
-    const sortedImages = [...images].sort((a, b) => a.dpo - b.dpo)
-    
-    const processedResults = []
-    
-    for (let i = 0; i < sortedImages.length; i++) {
-      const image = sortedImages[i]
-      const rgb = await processImage(image.url, image.roi)
-      
-      image.rgb = rgb
-      
-      const rateOfChange = i > 0 
-        ? rgb - processedResults[i - 1].rgb
-        : 0
-      
-      processedResults.push({
-        dpo: image.dpo,
-        rgb,
-        rateOfChange,
+    setAnalysisProgress({ done: 0, total: jobs.length })
+    const messages = []
+
+    // Every image is cached as soon as it finishes, so the results update live
+    const handleOutcome = ({ id, analysis, error }) => {
+      const key = keys.get(id)
+      const name = sortedImages.find(image => image.id === id).file.name
+      setSeriesAnalyses(prev => new Map(prev).set(id, { key, analysis, error }))
+      if (error) {
+        messages.push(`Could not analyse ${name}: ${error}`)
+        return
+      }
+      if (analysis.calibrated === null && sortedImages.find(image => image.id === id).whiteRoi) {
+        messages.push(`The white reference on ${name} is too dark to calibrate with`)
+      }
+      // Store the RGB values and the detected line pixels, unless the ROIs changed meanwhile
+      setSeriesImages(prev => prev.map(img =>
+        img.id === id && getAnalysisKey(img, settings) === key
+          ? { ...img, rgb: analysis.rgb, detection: analysis.detection }
+          : img
+      ))
+    }
+
+    try {
+      await analyzeImages(jobs, {
+        signal: controller.signal,
+        onProgress: (done, total, outcome) => {
+          setAnalysisProgress({ done, total })
+          handleOutcome(outcome)
+        },
       })
+      setNotices(messages)
+    } catch (err) {
+      // Nothing to report about images that are gone
+      if (err.name === 'AbortError' && controller.signal.reason === IMAGES_DISCARDED) return
+      if (err.name === 'AbortError') {
+        // Otherwise the remaining images would be picked up again straight away
+        setAutoAnalyze(false)
+        setNotices([...messages, 'Analysis cancelled; images analysed so far are kept and automatic analysis is off'])
+      } else {
+        console.error('Analysis failed:', err)
+        // A run that failed as a whole cached nothing, so it would only be retried and fail again
+        setAutoAnalyze(false)
+        setNotices([...messages, `Analysis failed: ${err.message}; automatic analysis is off`])
+      }
+    } finally {
+      analysisControllerRef.current = null
+      analysisSeriesIdRef.current = null
+      setAnalysisProgress(null)
+      setProcessing(false)
     }
+  }
 
-    // Update images with RGB values
-    setImages(prev => prev.map(img => {
-      const found = sortedImages.find(si => si.id === img.id)
-      return found ? { ...img, rgb: found.rgb } : img
-    }))
+  const handleStart = () => {
+    if (staleImages.length === 0 || processing) return
+    if (unsavedImageIds.size > 0 && !window.confirm(
+      `${unsavedImageIds.size} image${unsavedImageIds.size === 1 ? ' has' : 's have'} ROI painting that is not saved. ` +
+      'The analysis uses the saved ROIs. Continue?'
+    )) {
+      return
+    }
+    runAnalysis(staleImages)
+  }
+
+  // Analyse images as soon as they are ready, once editing has paused
+  useEffect(() => {
+    if (!autoAnalyze || processing || staleImages.length === 0) return
+    const timer = setTimeout(() => runAnalysis(staleImages), AUTO_ANALYSIS_DELAY)
+    return () => clearTimeout(timer)
+  }, [autoAnalyze, processing, staleImages])
 
-    setResults(processedResults)
-    setProcessing(false)
+  const handleCancelAnalysis = () => {
+    analysisControllerRef.current?.abort()
   }
 
   const selectedImage = images[selectedImageIndex]
 
+  const handleSelectImageById = useCallback((imageId) => {
+    const index = images.findIndex(img => img.id === imageId)
+    if (index !== -1) setSelectedImageIndex(index)
+  }, [images])
+
   return (
     <div className="app">
       <header className="app-header">
         <h1>HCG Measurement Tool</h1>
-        <ImageUpload onUpload={handleImageUpload} />
+        <div className="header-actions">
+          <SessionImport onImport={handleImportSession} />
+          <ImageUpload onUpload={handleImageUpload} />
+        </div>
       </header>
 
-      {images.length > 0 && (
+      {autosaveError && (
+        <div className="autosave-error" role="alert">
+          Not saved: {autosaveError}. Changes will be saved again with the next edit.
+        </div>
+      )}
+
+      {notices.length > 0 && (
+        <div className="notices">
+          <ul>
+            {notices.map((message, index) => <li key={index}>{message}</li>)}
+          </ul>
+          <button onClick={() => setNotices([])} aria-label="Dismiss">×</button>
+        </div>
+      )}
+
+      <SessionList
+        currentSessionId={session?.id}
+        currentSessionName={session?.name}
+        canSave={seriesList.some(series => series.images.length > 0)}
+        refreshKey={sessionListVersion}
+        onSave={handleSaveSession}
+        onOpen={handleOpenSession}
+        onNew={handleNewSession}
+        onRenamed={handleSessionRenamed}
+        onDeleted={handleSessionDeleted}
+      />
+
+      <div className="app-body">
+        <SeriesList
+          series={seriesList.map(series => ({
+            id: series.id,
+            name: series.name,
+            imageCount: series.images.length,
+            resultCount: deriveSeries(series).results.length,
+          }))}
+          activeSeriesId={activeSeries.id}
+          onSelect={showSeries}
+          onAdd={handleAddSeries}
+          onRename={handleRenameSeries}
+          onDelete={handleDeleteSeries}
+        />
+
         <div className="app-content">
-          <div className="main-panel">
-            <ImageCanvas
-              image={selectedImage}
-              onROIUpdate={(roi) => handleROIUpdate(selectedImageIndex, roi)}
-              onDPOUpdate={(dpo) => handleDPOUpdate(selectedImageIndex, dpo)}
-            />
+          {images.length === 0 ? (
+            <div className="series-placeholder">
+              No images in {activeSeries.name} yet. Upload photos of its tests to start.
+            </div>
+          ) : (
+            <>
+              <div className="main-panel">
+                <div className="canvas-row">
+                  <ImageCanvas
+                    image={selectedImage}
+                    metric={metric}
+                    onROIUpdate={(roi, target) => handleROIUpdate(selectedImageIndex, roi, target)}
+                    onDPOUpdate={(dpo) => handleDPOUpdate(selectedImageIndex, dpo)}
+                    onTransformUpdate={(transform) => handleTransformUpdate(selectedImageIndex, transform)}
+                    onDPOReset={() => handleDPOReset(selectedImageIndex)}
+                    onTimeOfDayUpdate={(timeOfDay) => handleTimeOfDayUpdate(selectedImageIndex, timeOfDay)}
+                    getPaintState={getPaintState}
+                    onPaintStateChange={handlePaintStateChange}
+                    ovulationDate={ovulationDate}
+                  />
+                  <IntensityProfile image={selectedImage} metric={metric} />
+                </div>
             
-            <ImageThumbnails
-              images={images}
-              selectedIndex={selectedImageIndex}
-              onSelect={setSelectedImageIndex}
-            />
-          </div>
-
-          <div className="controls">
-            <button
-              onClick={handleStart}
-              disabled={!canStart || processing}
-              className="start-button"
-            >
-              {processing ? 'Processing...' : 'Start Analysis'}
-            </button>
-          </div>
-
-          {results.length > 0 && (
-            <ResultsTable results={results} />
+                <ImageThumbnails
+                  images={images}
+                  selectedIndex={selectedImageIndex}
+                  onSelect={setSelectedImageIndex}
+                  onRemove={handleRemoveImage}
+                  onReplace={handleReplaceImage}
+                  onApplyROI={handleApplyROI}
+                  onAcceptPlacement={handleAcceptPlacement}
+                  unsavedImageIds={unsavedImageIds}
+                  placingROIs={placingROIs || processing}
+                />
+              </div>
+
+              <div className="controls">
+                <div className="analysis-setting">
+                  <label htmlFor="ovulation-date-input">Ovulation date:</label>
+                  <input
+                    id="ovulation-date-input"
+                    type="date"
+                    value={ovulationDate}
+                    onChange={(e) => handleOvulationDateChange(e.target.value)}
+                    title="DPO is calculated from each photo's capture time unless entered by hand"
+                  />
+                </div>
+                <div className="analysis-setting">
+                  <label htmlFor="metric-select">Intensity metric:</label>
+                  <select
+                    id="metric-select"
+                    value={metric}
+                    onChange={(e) => setMetric(e.target.value)}
+                  >
+                    {Object.entries(INTENSITY_METRICS).map(([key, definition]) => (
+                      <option key={key} value={key}>{definition.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="analysis-setting">
+                  <label htmlFor="detector-select">Line detector:</label>
+                  <select
+                    id="detector-select"
+                    value={detector}
+                    onChange={(e) => setDetector(e.target.value)}
+                  >
+                    {Object.entries(LINE_DETECTORS).map(([key, definition]) => (
+                      <option key={key} value={key}>{definition.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="analysis-setting">
+                  <label htmlFor="deviation-input">Flag deviations over:</label>
+                  <input
+                    id="deviation-input"
+                    type="number"
+                    min="1"
+                    max="500"
+                    value={Math.round(deviationThreshold * 100)}
+                    onChange={(e) => {
+                      const percent = Number(e.target.value)
+                      if (percent > 0) setDeviationThreshold(percent / 100)
+                    }}
+                  />
+                  <span>%</span>
+                </div>
+                <label className="analysis-setting auto-analyze">
+                  <input
+                    type="checkbox"
+                    checked={autoAnalyze}
+                    onChange={(e) => setAutoAnalyze(e.target.checked)}
+                  />
+                  Analyse automatically
+                </label>
+                <button
+                  onClick={handleStart}
+                  disabled={staleImages.length === 0 || processing}
+                  className="start-button"
+                >
+                  {analysisProgress
+                    ? `Analysing ${Math.min(analysisProgress.done + 1, analysisProgress.total)} of ${analysisProgress.total}...`
+                    : staleImages.length > 0
+                      ? `Analyse ${staleImages.length} image${staleImages.length === 1 ? '' : 's'}`
+                      : results.length > 0 ? 'Results up to date' : 'Start Analysis'}
+                </button>
+                {processing && (
+                  <button onClick={handleCancelAnalysis} className="cancel-button">
+                    Cancel
+                  </button>
+                )}
+                {waitingCount > 0 && images.length > 0 && (
+                  <span className="analysis-status">
+                    {waitingCount} image{waitingCount === 1 ? ' needs' : 's need'} a saved ROI and a DPO before analysis
+                  </span>
+                )}
+              </div>
+
+              {results.length > 0 && (
+                <>
+                  <div className="results-toolbar">
+                    <ExportMenu
+                      sessionName={session?.name}
+                      seriesName={seriesList.length > 1 ? activeSeries.name : null}
+                      images={images}
+                      results={results}
+                      trend={trend}
+                      getSessionState={getSessionState}
+                    />
+                  </div>
+                  <ResultsTable results={results} trend={trend} />
+                  <ProgressionChart
+                    results={results}
+                    deviationThreshold={deviationThreshold}
+                    selectedImageId={selectedImage?.id}
+                    onSelectImage={handleSelectImageById}
+                  />
+                </>
+              )}
+            </>
           )}
+
+          <SeriesComparisonChart
+            series={seriesList.map(series => ({ id: series.id, name: series.name, results: deriveSeries(series).results }))}
+            activeSeriesId={activeSeries.id}
+            onSelectSeries={showSeries}
+          />
         </div>
-      )}
+      </div>
     </div>
   )
 }
@@ -0,0 +1,122 @@
+import { useState } from 'react'
+import { renderToStaticMarkup } from 'react-dom/server'
+import PrintableReport from './PrintableReport'
+import { buildResultsCSV, cropImageToROI, downloadFile, fileNameStem } from '../utils/exportResults'
+import { createSessionBundle } from '../utils/sessionFormat'
+import resultsTableStyles from './ResultsTable.css?raw'
+import progressionChartStyles from './ProgressionChart.css?raw'
+import reportStyles from './PrintableReport.css?raw'
+import './ExportMenu.css'
+
+// CSV and report cover the series on screen, the JSON bundle the whole session
+function ExportMenu({ sessionName, seriesName, images, results, trend, getSessionState }) {
+  const [open, setOpen] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const stem = fileNameStem(sessionName)
+  const seriesStem = seriesName ? fileNameStem(`${stem} ${seriesName}`) : stem
+
+  const run = async (action) => {
+    setOpen(false)
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleCSV = () => run(async () => {
+    downloadFile(buildResultsCSV(images, results), `${seriesStem}.csv`, 'text/csv;charset=utf-8')
+  })
+
+  const handleJSON = () => run(async () => {
+    const bundle = await createSessionBundle(sessionName || stem, getSessionState())
+    downloadFile(JSON.stringify(bundle, null, 2), `${stem}.json`, 'application/json')
+  })
+
+  const handleReport = () => {
+    // Open the window synchronously so pop-up blockers treat it as user-initiated
+    const reportWindow = window.open('', '_blank')
+    if (!reportWindow) {
+      setError('The report window was blocked. Allow pop-ups for this page and try again.')
+      return
+    }
+    reportWindow.document.write('<p style="font-family: sans-serif">Preparing report…</p>')
+
+    run(async () => {
+      try {
+        const thumbnails = await Promise.all(results.map(async result => {
+          const image = images.find(img => img.id === result.imageId)
+          return {
+            imageId: result.imageId,
+            name: image?.file.name ?? 'Removed image',
+            dpo: result.dpo,
+            dataUrl: image ? await cropImageToROI(image) : null,
+          }
+        }))
+
+        const title = [sessionName || 'HCG Analysis Report', seriesName].filter(Boolean).join(' — ')
+        const body = renderToStaticMarkup(
+          <PrintableReport
+            title={title}
+            generatedAt={new Date()}
+            thumbnails={thumbnails}
+            results={results}
+            trend={trend}
+          />
+        )
+
+        reportWindow.document.open()
+        reportWindow.document.write(`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHTML(title)}</title>
+<style>${reportStyles}\n${resultsTableStyles}\n${progressionChartStyles}</style>
+</head>
+<body>${body}</body>
+</html>`)
+        reportWindow.document.close()
+        reportWindow.focus()
+        // Let the embedded images lay out before opening the print dialog
+        setTimeout(() => reportWindow.print(), 300)
+      } catch (err) {
+        reportWindow.close()
+        throw err
+      }
+    })
+  }
+
+  return (
+    <div className="export-menu">
+      <button
+        className="export-button"
+        onClick={() => setOpen(prev => !prev)}
+        disabled={busy || results.length === 0}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        {busy ? 'Exporting…' : 'Export ▾'}
+      </button>
+      {open && (
+        <ul className="export-options" role="menu">
+          <li><button role="menuitem" onClick={handleCSV}>Results as CSV</button></li>
+          <li><button role="menuitem" onClick={handleJSON}>Full session as JSON</button></li>
+          <li><button role="menuitem" onClick={handleReport}>Printable report (HTML/PDF)</button></li>
+        </ul>
+      )}
+      {error && <div className="export-error">{error}</div>}
+    </div>
+  )
+}
+
+function escapeHTML(text) {
+  return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]))
+}
+
+export default ExportMenu
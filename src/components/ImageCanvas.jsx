@@ -1,23 +1,168 @@
 import { useState, useRef, useEffect } from 'react'
+import { ROI_TARGETS, DEFAULT_ROI_TARGET } from '../utils/roiTargets'
+import {
+  createPaintMask,
+  beginEdit,
+  endEdit,
+  applyChange,
+  paintDisc,
+  paintSegment,
+  paintSpans,
+  clearMask,
+  getMaskBounds,
+  paintMaskToROI,
+} from '../utils/paintMask'
+import { rectangleSpans, polygonSpans, lineRegionSpans } from '../utils/roiShapes'
+import { drawMask, updatePaintLayer } from '../utils/overlayRendering'
+import { TIME_OF_DAY } from '../utils/dpo'
+import {
+  getRotation,
+  normalizeRotation,
+  getTransformedSize,
+  drawTransformedImage,
+  findStraighteningAngle,
+} from '../utils/imageTransform'
 import './ImageCanvas.css'
 
-function ImageCanvas({ image, onROIUpdate, onDPOUpdate }) {
+// RGBA colours of the detection overlay, chosen to stand out from the ROI paint colours
+const DETECTION_COLORS = {
+  roi: [255, 215, 0, 255],
+  threshold: [0, 229, 255, 255],
+  selection: [255, 0, 200, 140],
+}
+
+// Selection tools; all but the eraser and pan add to the painted pixels
+const TOOLS = {
+  paint: { label: 'Paint', title: 'Paint with the brush', cursor: 'crosshair' },
+  erase: { label: 'Eraser', title: 'Erase with the brush', cursor: 'cell' },
+  rect: { label: 'Rectangle', title: 'Drag a rectangle', cursor: 'crosshair' },
+  polygon: {
+    label: 'Polygon',
+    title: 'Click the corners; click the first corner, double-click or press Enter to close',
+    cursor: 'crosshair',
+  },
+  snap: { label: 'Snap to line', title: 'Click a line to select the band along it', cursor: 'pointer' },
+  pan: { label: 'Pan', title: 'Drag to move the image (or drag with the middle mouse button)', cursor: 'grab' },
+}
+
+// Display distance (px) from the first polygon corner that closes the polygon
+const POLYGON_CLOSE_DISTANCE = 8
+// Largest distance (image px) from the click that snap-to-line searches
+const SNAP_WINDOW_MAX = 400
+
+// Longest side of the downscaled copy searched for strip edges
+const STRAIGHTEN_SAMPLE_SIZE = 400
+
+// Largest zoom, in display pixels per original image pixel
+const MAX_PIXEL_SIZE = 32
+// Zoom factor of the +/- buttons
+const ZOOM_STEP = 1.25
+
+// Loupe size in display pixels and its magnification over the canvas
+const LOUPE_SIZE = 160
+const LOUPE_MAGNIFICATION = 4
+
+// zoom is relative to fitting the container width; x, y is the original
+// image point shown at the top-left corner of the canvas
+const DEFAULT_VIEW = { zoom: 1, x: 0, y: 0 }
+
+function ImageCanvas({
+  image,
+  metric,
+  onROIUpdate,
+  onDPOUpdate,
+  onDPOReset,
+  onTimeOfDayUpdate,
+  onTransformUpdate,
+  ovulationDate,
+  getPaintState,
+  onPaintStateChange,
+}) {
   const canvasRef = useRef(null)
   const overlayCanvasRef = useRef(null)
+  const paintCanvasRef = useRef(null)
   const containerRef = useRef(null)
   const imageRef = useRef(null)
-  const [isDrawing, setIsDrawing] = useState(false)
-  const [mode, setMode] = useState('paint') // 'paint' or 'erase'
+  const loadedURLRef = useRef(null) // URL of the image held in imageRef
+  const loupeCanvasRef = useRef(null)
+  const layoutRef = useRef(null) // { fitScale, sourceWidth, sourceHeight, url, transform } of the current canvas size
+  const pointersRef = useRef(new Map()) // Pointers currently down, in canvas coordinates
+  const gestureRef = useRef(null) // Gesture in progress: paint, pan or pinch
+  // Paint mask of the shown image and ROI target (see paintMask), edited in place
+  const paintMaskRef = useRef(null)
+  // Paint state last handed to App for the current owner, or null
+  const handedStateRef = useRef(null)
+  // { canvas, ctx, mask }: the mask coloured at original image resolution
+  const paintLayerRef = useRef(null)
+  const [mode, setMode] = useState('paint') // Key of TOOLS
+  const [roiTarget, setROITarget] = useState(DEFAULT_ROI_TARGET) // Which ROI is being painted
   const [brushSize, setBrushSize] = useState(10)
-  const [paintedPixels, setPaintedPixels] = useState(new Set()) // Track painted pixels
-  const [history, setHistory] = useState([]) // For undo
+  const [paintCount, setPaintCount] = useState(0) // Painted pixels in the mask
+  const [history, setHistory] = useState([]) // Changes to undo, see paintMask
+  const [redoStack, setRedoStack] = useState([])
+  const [dirty, setDirty] = useState(false) // Painted since the ROI was last saved
+  const [paintOwner, setPaintOwner] = useState(null) // { imageId, target } the paint state belongs to
+  const [showDetection, setShowDetection] = useState(false) // Overlay the pixels used by the analysis
+  const [loadError, setLoadError] = useState(false)
+  const [straightenFailed, setStraightenFailed] = useState(false)
   const [dpo, setDPO] = useState(image?.dpo?.toString() || '')
+  const [view, setView] = useState(DEFAULT_VIEW)
+  const [showLoupe, setShowLoupe] = useState(true)
+  const [rectanglePreview, setRectanglePreview] = useState(null) // {start, end} while dragging
+  const [polygonPoints, setPolygonPoints] = useState([]) // Corners of the polygon being drawn
+  const [polygonHover, setPolygonHover] = useState(null) // Cursor position, previews the next edge
+  const [snapFailed, setSnapFailed] = useState(false)
+  // Drawing code runs from timeouts and native listeners, so it reads the view from a ref
+  const viewRef = useRef(view)
+
+  // Start fitted whenever another image or rotation is shown
+  useEffect(() => {
+    updateView(DEFAULT_VIEW)
+  }, [image?.id, image?.transform])
+
+  // Hand every finished edit to App, so it survives switching images. This
+  // runs before the restore below, which then reads back what was just stored.
+  useEffect(() => {
+    if (!paintOwner) return
+    // Without edits the painting is simply rebuilt from the saved ROI
+    const keep = dirty || history.length > 0 || redoStack.length > 0
+    const state = keep ? { mask: paintMaskRef.current, history, redoStack, dirty } : null
+    handedStateRef.current = state
+    onPaintStateChange(paintOwner.imageId, paintOwner.target, state)
+  }, [paintOwner, history, redoStack, dirty])
+
+  // Once another image or target is shown, painting that matches its saved
+  // ROI is released; only unsaved painting is worth its memory. Cleanups run
+  // before the effect above hands over the next owner's state.
+  useEffect(() => {
+    if (!paintOwner) return
+    return () => {
+      if (!handedStateRef.current?.dirty) onPaintStateChange(paintOwner.imageId, paintOwner.target, null)
+    }
+  }, [paintOwner])
+
+  // Restore the painting of the shown image and ROI target; without any,
+  // start from the saved ROI so it can be edited further
+  useEffect(() => {
+    if (!image) return
+    const stored = getPaintState(image.id, roiTarget)
+    setHistory(stored?.history ?? [])
+    setRedoStack(stored?.redoStack ?? [])
+    setDirty(stored?.dirty ?? false)
+    setPaintOwner(prev => prev?.imageId === image.id && prev.target === roiTarget ? prev : { imageId: image.id, target: roiTarget })
+    resetShapeTools()
+    if (!stored || stored.mask !== paintMaskRef.current) {
+      paintMaskRef.current = stored?.mask ?? null
+      preparePaintMask()
+    }
+  }, [image?.id, image?.transform, image?.roi, image?.controlRoi, image?.backgroundRoi, image?.whiteRoi, roiTarget])
 
   useEffect(() => {
     if (image) {
-      setDPO(image.dpo?.toString() || '')
-      setPaintedPixels(new Set())
-      setHistory([])
+      // Keep partial input such as "10." while it still means the stored value
+      setDPO(prev => parseFloat(prev) === image.dpo ? prev : image.dpo?.toString() || '')
+      setLoadError(false)
+      setStraightenFailed(false)
       // Wait for container to be rendered and sized
       setTimeout(() => {
         drawImage()
@@ -39,7 +184,56 @@ function ImageCanvas({ image, onROIUpdate, onDPOUpdate }) {
 
   useEffect(() => {
     redrawOverlay()
-  }, [paintedPixels])
+  }, [image, roiTarget, showDetection, rectanglePreview, polygonPoints, polygonHover])
+
+  // Enter closes the polygon being drawn, Escape discards it
+  useEffect(() => {
+    if (polygonPoints.length === 0) return
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') resetShapeTools()
+      if (e.key === 'Enter' && polygonPoints.length >= 3) closePolygon(polygonPoints)
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [polygonPoints])
+
+  useEffect(() => {
+    drawBase()
+    drawPaint()
+    redrawOverlay()
+  }, [view])
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (Cmd on macOS)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handleUndo()
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault()
+        handleRedo()
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [history, redoStack])
+
+  // React registers wheel listeners as passive, which can't prevent page scrolling
+  const hasImage = Boolean(image)
+  useEffect(() => {
+    const overlayCanvas = overlayCanvasRef.current
+    if (!overlayCanvas) return
+
+    const handleWheel = (e) => {
+      e.preventDefault()
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY
+      zoomAt(Math.exp(-delta * 0.002), getPointerPos(e))
+    }
+    overlayCanvas.addEventListener('wheel', handleWheel, { passive: false })
+    return () => overlayCanvas.removeEventListener('wheel', handleWheel)
+  }, [hasImage])
 
   const drawImage = () => {
     const canvas = canvasRef.current
@@ -55,102 +249,466 @@ function ImageCanvas({ image, onROIUpdate, onDPOUpdate }) {
       return
     }
 
-    const ctx = canvas.getContext('2d')
-    const overlayCtx = overlayCanvas.getContext('2d')
+    // Rotating only redraws the already loaded image
+    if (imageRef.current && loadedURLRef.current === image.url) {
+      layoutCanvas(imageRef.current, containerWidth)
+      return
+    }
+
     const img = new Image()
     
     img.onload = () => {
       imageRef.current = img
-      const scaleX = containerWidth / img.width
-      const canvasHeight = img.height * scaleX
-      
-      // Set canvas internal resolution (for drawing)
-      canvas.width = containerWidth
-      canvas.height = canvasHeight
-      overlayCanvas.width = containerWidth
-      overlayCanvas.height = canvasHeight
-      
-      // Set explicit CSS dimensions to stretch canvas to image size
-      // This ensures the canvas displays at the correct size
-      canvas.style.width = `${containerWidth}px`
-      canvas.style.height = `${canvasHeight}px`
-      overlayCanvas.style.width = `${containerWidth}px`
-      overlayCanvas.style.height = `${canvasHeight}px`
-      
-      // Update container height to match image aspect ratio
-      container.style.height = `${canvasHeight}px`
-      container.style.width = `${containerWidth}px`
-      
-      // Draw ONLY the original image on the base canvas
-      // This canvas is used for display only - analysis uses the original image URL
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
-      
-      // Clear and redraw overlay on the separate overlay canvas
-      // The overlay is purely visual and does NOT affect image analysis
-      overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height)
-      redrawOverlay()
+      loadedURLRef.current = image.url
+      setLoadError(false)
+      layoutCanvas(img, containerWidth)
     }
     
     img.onerror = () => {
-      console.error('Failed to load image:', image.url)
+      // Don't leave the previous image on screen
+      imageRef.current = null
+      loadedURLRef.current = null
+      layoutRef.current = null
+      const ctx = canvas.getContext('2d')
+      const overlayCtx = overlayCanvas.getContext('2d')
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height)
+      drawPaint()
+      setLoadError(true)
     }
     
     // Load the original image - no overlay, no modifications
     img.src = image.url
   }
 
-  const redrawOverlay = () => {
+  // Size the canvases to fit the rotated image and draw it
+  const layoutCanvas = (img, containerWidth) => {
+    const canvas = canvasRef.current
+    const paintCanvas = paintCanvasRef.current
     const overlayCanvas = overlayCanvasRef.current
-    if (!overlayCanvas) return
-    
-    const ctx = overlayCanvas.getContext('2d')
-    ctx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height)
-    ctx.fillStyle = 'rgba(0, 255, 0, 0.3)' // Transparent green
+    const container = containerRef.current
+    if (!canvas || !paintCanvas || !overlayCanvas || !container) return
+
+    const size = getTransformedSize(img.width, img.height, image.transform)
+    const scaleX = containerWidth / size.width
+    const canvasHeight = size.height * scaleX
+    layoutRef.current = {
+      fitScale: scaleX,
+      sourceWidth: size.width,
+      sourceHeight: size.height,
+      url: image.url,
+      transform: image.transform,
+    }
     
-    paintedPixels.forEach(pixelKey => {
-      const [x, y] = pixelKey.split(',').map(Number)
-      ctx.fillRect(x, y, 1, 1)
+    // Set canvas internal resolution (for drawing) and explicit CSS
+    // dimensions to stretch each canvas to the image size
+    ;[canvas, paintCanvas, overlayCanvas].forEach(layer => {
+      layer.width = containerWidth
+      layer.height = canvasHeight
+      layer.style.width = `${containerWidth}px`
+      layer.style.height = `${canvasHeight}px`
     })
+    
+    // Update container height to match image aspect ratio
+    container.style.height = `${canvasHeight}px`
+    container.style.width = `${containerWidth}px`
+    
+    // A resized container may show more of the image than before
+    const clamped = clampView(viewRef.current)
+    if (clamped.x !== viewRef.current.x || clamped.y !== viewRef.current.y) {
+      updateView(clamped)
+    }
+
+    drawBase()
+    // The overlay is purely visual and does NOT affect image analysis
+    redrawOverlay()
+    preparePaintMask()
+  }
+
+  /**
+   * Create the paint mask once the size of the rotated image is known,
+   * starting from the saved ROI, and show it
+   */
+  const preparePaintMask = () => {
+    const layout = layoutRef.current
+    if (!image || !layout || layout.url !== image.url || layout.transform !== image.transform) return
+
+    let mask = paintMaskRef.current
+    if (!mask || mask.width !== layout.sourceWidth || mask.height !== layout.sourceHeight) {
+      mask = createPaintMask(layout.sourceWidth, layout.sourceHeight, image[ROI_TARGETS[roiTarget].field])
+      paintMaskRef.current = mask
+    }
+    if (paintLayerRef.current?.mask !== mask) rebuildPaintLayer()
+    setPaintCount(mask.count)
+    drawPaint()
+  }
+
+  const rebuildPaintLayer = () => {
+    const mask = paintMaskRef.current
+    let layer = paintLayerRef.current
+    if (!layer || layer.canvas.width !== mask.width || layer.canvas.height !== mask.height) {
+      const canvas = document.createElement('canvas')
+      canvas.width = mask.width
+      canvas.height = mask.height
+      layer = { canvas, ctx: canvas.getContext('2d') }
+      paintLayerRef.current = layer
+    } else {
+      layer.ctx.clearRect(0, 0, mask.width, mask.height)
+    }
+    layer.mask = mask
+    const bounds = getMaskBounds(mask)
+    if (bounds) updatePaintLayer(layer.ctx, mask, bounds, ROI_TARGETS[roiTarget].paintColor)
+  }
+
+  // Bring the paint layer and canvas up to date after an edit of part of the mask
+  const refreshPaint = (rect) => {
+    const layer = paintLayerRef.current
+    if (!rect || !layer || layer.mask !== paintMaskRef.current) return
+    updatePaintLayer(layer.ctx, layer.mask, rect, ROI_TARGETS[roiTarget].paintColor)
+    drawPaint(rect)
   }
 
-  const paintPixel = (x, y, isErasing = false) => {
+  /**
+   * Draw the paint layer at the current zoom and pan, either entirely or only
+   * where a rectangle of the image is shown
+   */
+  const drawPaint = (rect = null) => {
+    const paintCanvas = paintCanvasRef.current
+    if (!paintCanvas) return
+    const ctx = paintCanvas.getContext('2d')
+    const layer = paintLayerRef.current
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    if (!layer || layer.mask !== paintMaskRef.current || !layoutRef.current) {
+      ctx.clearRect(0, 0, paintCanvas.width, paintCanvas.height)
+      return
+    }
+
+    const scale = getScale()
+    const { x, y } = viewRef.current
+    ctx.save()
+    if (rect) {
+      // Clear every display pixel the rectangle touches; the redraw below
+      // takes a slightly larger part of the layer so partly covered
+      // neighbouring image pixels come back too
+      const left = Math.floor((rect.x0 - x) * scale)
+      const top = Math.floor((rect.y0 - y) * scale)
+      const width = Math.ceil((rect.x1 - x) * scale) - left
+      const height = Math.ceil((rect.y1 - y) * scale) - top
+      ctx.beginPath()
+      ctx.rect(left, top, width, height)
+      ctx.clip()
+      ctx.clearRect(left, top, width, height)
+    } else {
+      ctx.clearRect(0, 0, paintCanvas.width, paintCanvas.height)
+    }
+
+    const pad = Math.ceil(1 / scale) + 1
+    const sx = rect ? Math.max(0, rect.x0 - pad) : 0
+    const sy = rect ? Math.max(0, rect.y0 - pad) : 0
+    const sw = (rect ? Math.min(layer.canvas.width, rect.x1 + pad) : layer.canvas.width) - sx
+    const sh = (rect ? Math.min(layer.canvas.height, rect.y1 + pad) : layer.canvas.height) - sy
+    // Keep hard pixel edges when zoomed in
+    ctx.imageSmoothingEnabled = false
+    ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale)
+    ctx.drawImage(layer.canvas, sx, sy, sw, sh, sx, sy, sw, sh)
+    ctx.restore()
+  }
+
+  /**
+   * Draw ONLY the original image on the base canvas, rotated the same way
+   * processImage rotates it for the analysis, at the current zoom and pan
+   */
+  const drawBase = () => {
+    const canvas = canvasRef.current
+    const img = imageRef.current
+    if (!canvas || !img || !layoutRef.current) return
+
+    const ctx = canvas.getContext('2d')
+    const scale = getScale()
+    const { x, y } = viewRef.current
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    // Show the real pixels once they are big enough to tell apart
+    ctx.imageSmoothingEnabled = scale < 2
+    ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale)
+    drawTransformedImage(ctx, img, image.transform)
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+  }
+
+  // Display pixels per original image pixel
+  const getScale = () => (layoutRef.current?.fitScale || 1) * viewRef.current.zoom
+
+  const getMaxZoom = () => Math.max(1, MAX_PIXEL_SIZE / (layoutRef.current?.fitScale || 1))
+
+  // Keep the zoom in range and the visible area inside the image
+  const clampView = ({ zoom, x, y }) => {
+    const layout = layoutRef.current
+    const canvas = canvasRef.current
+    if (!layout || !canvas) return DEFAULT_VIEW
+
+    const clampedZoom = Math.min(Math.max(zoom, 1), getMaxZoom())
+    const scale = layout.fitScale * clampedZoom
+    const maxX = Math.max(0, layout.sourceWidth - canvas.width / scale)
+    const maxY = Math.max(0, layout.sourceHeight - canvas.height / scale)
+    return {
+      zoom: clampedZoom,
+      x: Math.min(Math.max(x, 0), maxX),
+      y: Math.min(Math.max(y, 0), maxY),
+    }
+  }
+
+  const updateView = (next) => {
+    viewRef.current = next
+    setView(next)
+  }
+
+  // Original image coordinates of a point on the canvas
+  const toImagePoint = (pos) => {
+    const scale = getScale()
+    return { x: viewRef.current.x + pos.x / scale, y: viewRef.current.y + pos.y / scale }
+  }
+
+  // Zoom by `factor`, keeping the image point under `pos` where it is
+  const zoomAt = (factor, pos) => {
+    const layout = layoutRef.current
+    if (!layout) return
+    const point = toImagePoint(pos)
+    const zoom = Math.min(Math.max(viewRef.current.zoom * factor, 1), getMaxZoom())
+    const scale = layout.fitScale * zoom
+    updateView(clampView({ zoom, x: point.x - pos.x / scale, y: point.y - pos.y / scale }))
+  }
+
+  // Move the image by a distance in display pixels
+  const panBy = (dx, dy) => {
+    const scale = getScale()
+    const { zoom, x, y } = viewRef.current
+    updateView(clampView({ zoom, x: x - dx / scale, y: y - dy / scale }))
+  }
+
+  const getCanvasCenter = () => {
+    const canvas = canvasRef.current
+    return { x: (canvas?.width || 0) / 2, y: (canvas?.height || 0) / 2 }
+  }
+
+  const redrawOverlay = () => {
     const overlayCanvas = overlayCanvasRef.current
     if (!overlayCanvas) return
     
-    // Create a new Set to avoid mutating state
-    const newPaintedPixels = new Set(paintedPixels)
     const ctx = overlayCanvas.getContext('2d')
-    const radius = brushSize / 2
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height)
+    if (!image || !imageRef.current || !layoutRef.current) return
+
+    // Everything below is positioned in original image coordinates times the scale
+    const scale = getScale()
+    const { x, y } = viewRef.current
+    ctx.setTransform(1, 0, 0, 1, -x * scale, -y * scale)
     
-    // Paint/erase in a circle
-    for (let dy = -radius; dy <= radius; dy++) {
-      for (let dx = -radius; dx <= radius; dx++) {
-        const px = Math.round(x + dx)
-        const py = Math.round(y + dy)
-        
-        // Check if within circle
-        if (dx * dx + dy * dy <= radius * radius) {
-          const pixelKey = `${px},${py}`
-          
-          if (isErasing) {
-            // Erase: remove from painted pixels
-            newPaintedPixels.delete(pixelKey)
-          } else {
-            // Paint: only add if not already painted (maintain transparency)
-            if (!newPaintedPixels.has(pixelKey) && px >= 0 && py >= 0 && 
-                px < overlayCanvas.width && py < overlayCanvas.height) {
-              newPaintedPixels.add(pixelKey)
-            }
-          }
-        }
+    // Outline every saved ROI so the regions can be told apart
+    ctx.lineWidth = 2
+    Object.values(ROI_TARGETS).forEach(({ field, outlineColor }) => {
+      const savedROI = image[field]
+      if (!savedROI) return
+      ctx.strokeStyle = outlineColor
+      ctx.strokeRect(
+        savedROI.x * scale,
+        savedROI.y * scale,
+        savedROI.width * scale,
+        savedROI.height * scale
+      )
+    })
+    
+    if (showDetection && image.detection) {
+      drawDetection(ctx, scale)
+    }
+
+    drawShapePreview(ctx, scale)
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+  }
+
+  // Dashed outline of the rectangle or polygon being drawn
+  const drawShapePreview = (ctx, scale) => {
+    const points = rectanglePreview
+      ? rectangleCorners(rectanglePreview.start, rectanglePreview.end)
+      : [...polygonPoints, ...(polygonPoints.length > 0 && polygonHover ? [polygonHover] : [])]
+    if (points.length === 0) return
+
+    const { outlineColor } = ROI_TARGETS[roiTarget]
+    ctx.save()
+    ctx.strokeStyle = outlineColor
+    ctx.lineWidth = 1.5
+    ctx.setLineDash([6, 4])
+    ctx.beginPath()
+    points.forEach((point, index) => {
+      if (index === 0) ctx.moveTo(point.x * scale, point.y * scale)
+      else ctx.lineTo(point.x * scale, point.y * scale)
+    })
+    if (rectanglePreview) ctx.closePath()
+    ctx.stroke()
+
+    ctx.fillStyle = outlineColor
+    polygonPoints.forEach(point => ctx.fillRect(point.x * scale - 3, point.y * scale - 3, 6, 6))
+    ctx.restore()
+  }
+
+  /**
+   * Draw a magnified view of the image and the paint around the cursor,
+   * placed in a corner of the canvas away from the cursor
+   */
+  const drawLoupe = (pos) => {
+    const loupe = loupeCanvasRef.current
+    const img = imageRef.current
+    if (!loupe || !img || !layoutRef.current) return
+
+    const ctx = loupe.getContext('2d')
+    const scale = getScale() * LOUPE_MAGNIFICATION
+    const point = toImagePoint(pos)
+    const originX = LOUPE_SIZE / 2 - point.x * scale
+    const originY = LOUPE_SIZE / 2 - point.y * scale
+    const half = LOUPE_SIZE / 2 / scale
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.fillStyle = '#333'
+    ctx.fillRect(0, 0, LOUPE_SIZE, LOUPE_SIZE)
+    ctx.imageSmoothingEnabled = false
+    ctx.setTransform(scale, 0, 0, scale, originX, originY)
+    drawTransformedImage(ctx, img, image.transform)
+    const layer = paintLayerRef.current
+    if (layer && layer.mask === paintMaskRef.current) {
+      const sx = Math.max(0, Math.floor(point.x - half))
+      const sy = Math.max(0, Math.floor(point.y - half))
+      const sw = Math.min(layer.canvas.width, Math.ceil(point.x + half)) - sx
+      const sh = Math.min(layer.canvas.height, Math.ceil(point.y + half)) - sy
+      if (sw > 0 && sh > 0) ctx.drawImage(layer.canvas, sx, sy, sw, sh, sx, sy, sw, sh)
+    }
+
+    // Brush outline, or a crosshair for the other tools
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    if (mode === 'paint' || mode === 'erase') {
+      ctx.arc(LOUPE_SIZE / 2, LOUPE_SIZE / 2, getBrushRadius() * scale, 0, Math.PI * 2)
+    } else {
+      ctx.moveTo(LOUPE_SIZE / 2, LOUPE_SIZE / 2 - 10)
+      ctx.lineTo(LOUPE_SIZE / 2, LOUPE_SIZE / 2 + 10)
+      ctx.moveTo(LOUPE_SIZE / 2 - 10, LOUPE_SIZE / 2)
+      ctx.lineTo(LOUPE_SIZE / 2 + 10, LOUPE_SIZE / 2)
+    }
+    ctx.stroke()
+
+    const nearTopLeft = pos.x < LOUPE_SIZE + 20 && pos.y < LOUPE_SIZE + 20
+    loupe.style.left = nearTopLeft ? 'auto' : '10px'
+    loupe.style.right = nearTopLeft ? '10px' : 'auto'
+    loupe.style.display = 'block'
+  }
+
+  const hideLoupe = () => {
+    if (loupeCanvasRef.current) loupeCanvasRef.current.style.display = 'none'
+  }
+
+  /**
+   * Draw what the analyzer actually used for each line: the painted ROI outline,
+   * the boundary of every pixel that passed the detector threshold and the
+   * selected line region, each in its own colour
+   */
+  const drawDetection = (ctx, scale) => {
+    Object.entries(image.detection).forEach(([target, detection]) => {
+      if (!detection) return
+      const placement = { x: detection.x, y: detection.y, scale }
+      const savedROI = image[ROI_TARGETS[target].field]
+      
+      if (savedROI?.mask) {
+        drawMask(ctx, savedROI.mask, { x: savedROI.x, y: savedROI.y, scale }, DETECTION_COLORS.roi, true)
       }
+      drawMask(ctx, detection.selection, placement, DETECTION_COLORS.selection)
+      drawMask(ctx, detection.candidates, placement, DETECTION_COLORS.threshold, true)
+    })
+  }
+
+  // The brush size is set in display pixels, so it covers fewer image pixels when zoomed in
+  const getBrushRadius = () => Math.max(0.5, brushSize / 2 / getScale())
+
+  const getBounds = () => ({ width: layoutRef.current.sourceWidth, height: layoutRef.current.sourceHeight })
+
+  // Record a finished edit for undo; it starts a new redo branch
+  const commitEdit = (edit) => {
+    const change = endEdit(edit)
+    if (!change) return
+    setHistory(prev => [...prev, change])
+    setRedoStack([])
+    setDirty(true)
+    setPaintCount(edit.mask.count)
+  }
+
+  // Paint the spans selected by a shape tool as one undoable step
+  const addSpans = (spans) => {
+    const mask = paintMaskRef.current
+    if (!mask || spans.length === 0) return
+    const edit = beginEdit(mask, true)
+    refreshPaint(paintSpans(edit, spans))
+    commitEdit(edit)
+  }
+
+  const resetShapeTools = () => {
+    setRectanglePreview(null)
+    setPolygonPoints([])
+    setPolygonHover(null)
+    setSnapFailed(false)
+  }
+
+  const handlePolygonClick = (point) => {
+    const first = polygonPoints[0]
+    const scale = getScale()
+    // Clicking the first corner again closes the polygon
+    if (polygonPoints.length >= 3 &&
+        Math.hypot((first.x - point.x) * scale, (first.y - point.y) * scale) <= POLYGON_CLOSE_DISTANCE) {
+      closePolygon(polygonPoints)
+      return
     }
-    
-    // Update state with new Set
-    setPaintedPixels(newPaintedPixels)
+    setPolygonPoints(prev => [...prev, point])
+  }
+
+  const closePolygon = (points) => {
+    if (layoutRef.current) addSpans(polygonSpans(points, getBounds()))
+    setPolygonPoints([])
+    setPolygonHover(null)
+  }
+
+  /**
+   * Select the line band under a clicked point, searching a window of the
+   * rotated image around it
+   */
+  const handleSnapToLine = (point) => {
+    const img = imageRef.current
+    const layout = layoutRef.current
+    if (!img || !layout) return
+
+    const half = Math.min(SNAP_WINDOW_MAX, Math.max(32, Math.round(Math.min(layout.sourceWidth, layout.sourceHeight) * 0.15)))
+    const x0 = Math.max(0, Math.floor(point.x - half))
+    const y0 = Math.max(0, Math.floor(point.y - half))
+    const x1 = Math.min(layout.sourceWidth, Math.ceil(point.x + half))
+    const y1 = Math.min(layout.sourceHeight, Math.ceil(point.y + half))
+    if (x1 <= x0 || y1 <= y0) return
+
+    const sample = document.createElement('canvas')
+    sample.width = x1 - x0
+    sample.height = y1 - y0
+    const ctx = sample.getContext('2d', { willReadFrequently: true })
+    ctx.setTransform(1, 0, 0, 1, -x0, -y0)
+    drawTransformedImage(ctx, img, image.transform)
+
+    const spans = lineRegionSpans(ctx.getImageData(0, 0, sample.width, sample.height), { x: x0, y: y0 }, point, { metric })
+    setSnapFailed(!spans)
+    if (spans) addSpans(spans)
+  }
+
+  const handleToolChange = (tool) => {
+    setMode(tool)
+    resetShapeTools()
   }
 
-  const getMousePos = (e) => {
+  const getPointerPos = (e) => {
     const canvas = canvasRef.current
     const rect = canvas.getBoundingClientRect()
     return {
@@ -159,28 +717,118 @@ function ImageCanvas({ image, onROIUpdate, onDPOUpdate }) {
     }
   }
 
-  const handleMouseDown = (e) => {
+  const startPinch = () => {
+    const [a, b] = [...pointersRef.current.values()]
+    gestureRef.current = {
+      type: 'pinch',
+      distance: Math.hypot(a.x - b.x, a.y - b.y),
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    }
+  }
+
+  const handlePointerDown = (e) => {
     if (!image) return
-    setIsDrawing(true)
-    const pos = getMousePos(e)
-    
-    // Save current state for undo (only once per mouse down)
-    setHistory(prev => [...prev, new Set(paintedPixels)])
-    
-    paintPixel(pos.x, pos.y, mode === 'erase')
+    const pos = getPointerPos(e)
+    e.currentTarget.setPointerCapture(e.pointerId)
+    pointersRef.current.set(e.pointerId, pos)
+
+    // A second finger turns the gesture into a pinch; the stroke so far is kept
+    if (pointersRef.current.size === 2) {
+      if (gestureRef.current?.type === 'paint') commitEdit(gestureRef.current.edit)
+      startPinch()
+      setRectanglePreview(null)
+      hideLoupe()
+      return
+    }
+    if (pointersRef.current.size > 2) return
+
+    // Dragging with the middle button pans in any mode
+    if (mode === 'pan' || e.button === 1) {
+      e.preventDefault()
+      gestureRef.current = { type: 'pan', last: pos }
+      return
+    }
+
+    const point = toImagePoint(pos)
+    if (mode === 'rect') {
+      gestureRef.current = { type: 'rect', start: point }
+      setRectanglePreview({ start: point, end: point })
+      return
+    }
+    if (mode === 'polygon' || mode === 'snap') {
+      gestureRef.current = null
+      if (mode === 'polygon') handlePolygonClick(point)
+      else handleSnapToLine(point)
+      return
+    }
+
+    const mask = paintMaskRef.current
+    if (!mask) return
+    // The whole stroke becomes one undo step
+    const edit = beginEdit(mask, mode !== 'erase')
+    gestureRef.current = { type: 'paint', edit, last: point }
+    refreshPaint(paintDisc(edit, point, getBrushRadius()))
   }
 
-  const handleMouseMove = (e) => {
-    if (!isDrawing) return
-    
-    const pos = getMousePos(e)
-    paintPixel(pos.x, pos.y, mode === 'erase')
+  const handlePointerMove = (e) => {
+    const pos = getPointerPos(e)
+    const gesture = gestureRef.current
+    if (gesture && pointersRef.current.has(e.pointerId)) {
+      pointersRef.current.set(e.pointerId, pos)
+      continueGesture(gesture, pos)
+    }
+
+    // After painting, so the loupe shows the new paint
+    if (showLoupe && mode !== 'pan' && gesture?.type !== 'pinch' &&
+        (e.pointerType === 'mouse' || gesture?.type === 'paint' || gesture?.type === 'rect')) {
+      drawLoupe(pos)
+    }
+    if (mode === 'polygon' && polygonPoints.length > 0) {
+      setPolygonHover(toImagePoint(pos))
+    }
+  }
+
+  const continueGesture = (gesture, pos) => {
+    if (gesture.type === 'pinch') {
+      const previous = gesture
+      startPinch()
+      const { distance, center } = gestureRef.current
+      if (previous.distance > 0) zoomAt(distance / previous.distance, previous.center)
+      panBy(center.x - previous.center.x, center.y - previous.center.y)
+    } else if (gesture.type === 'pan') {
+      panBy(pos.x - gesture.last.x, pos.y - gesture.last.y)
+      gesture.last = pos
+    } else if (gesture.type === 'rect') {
+      setRectanglePreview({ start: gesture.start, end: toImagePoint(pos) })
+    } else {
+      // Stamp the brush all the way from the previous event, however fast the pointer moved
+      const point = toImagePoint(pos)
+      refreshPaint(paintSegment(gesture.edit, gesture.last, point, getBrushRadius()))
+      gesture.last = point
+    }
   }
 
-  const handleMouseUp = () => {
-    if (isDrawing) {
-      setIsDrawing(false)
+  const handlePointerUp = (e) => {
+    const gesture = gestureRef.current
+    if (gesture?.type === 'rect') {
+      // Nothing can be painted before the image has been laid out
+      if (e.type === 'pointerup' && layoutRef.current) {
+        addSpans(rectangleSpans(gesture.start, toImagePoint(getPointerPos(e)), getBounds()))
+      }
+      setRectanglePreview(null)
+    }
+    if (gesture?.type === 'paint') commitEdit(gesture.edit)
+    pointersRef.current.delete(e.pointerId)
+    // Lifting one finger of a pinch must not start painting with the other
+    if (pointersRef.current.size === 0 || gestureRef.current?.type === 'pinch') {
+      gestureRef.current = null
     }
+    if (e.pointerType !== 'mouse') hideLoupe()
+  }
+
+  const handleTargetChange = (target) => {
+    // Each ROI is painted separately; its own painting is restored
+    setROITarget(target)
   }
 
   const handleDPOChange = (e) => {
@@ -190,62 +838,79 @@ function ImageCanvas({ image, onROIUpdate, onDPOUpdate }) {
   }
 
   const handleClearROI = () => {
-    setHistory(prev => [...prev, new Set(paintedPixels)])
-    setPaintedPixels(new Set())
-    redrawOverlay()
+    const mask = paintMaskRef.current
+    if (!mask || mask.count === 0) return
+    const edit = beginEdit(mask, false)
+    refreshPaint(clearMask(edit))
+    commitEdit(edit)
   }
 
+  // Undo and redo flip the pixels of a recorded change back and forth
   const handleUndo = () => {
-    if (history.length > 0) {
-      const prevState = history[history.length - 1]
-      setHistory(prev => prev.slice(0, -1))
-      setPaintedPixels(new Set(prevState))
-      redrawOverlay()
-    }
+    const mask = paintMaskRef.current
+    if (history.length === 0 || !mask) return
+    const change = history[history.length - 1]
+    refreshPaint(applyChange(mask, change))
+    setHistory(prev => prev.slice(0, -1))
+    setRedoStack(prev => [...prev, change])
+    setDirty(true)
+    setPaintCount(mask.count)
+  }
+
+  const handleRedo = () => {
+    const mask = paintMaskRef.current
+    if (redoStack.length === 0 || !mask) return
+    const change = redoStack[redoStack.length - 1]
+    refreshPaint(applyChange(mask, change))
+    setRedoStack(prev => prev.slice(0, -1))
+    setHistory(prev => [...prev, change])
+    setDirty(true)
+    setPaintCount(mask.count)
   }
 
   const handleSaveROI = () => {
-    if (paintedPixels.size === 0 || !imageRef.current) return
-    
-    const canvas = canvasRef.current
-    if (!canvas) return
-    
-    // Calculate bounding box of painted region (overlay coordinates)
-    // The overlay is purely visual - we use these coordinates to define ROI
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
-    
-    paintedPixels.forEach(pixelKey => {
-      const [x, y] = pixelKey.split(',').map(Number)
-      minX = Math.min(minX, x)
-      minY = Math.min(minY, y)
-      maxX = Math.max(maxX, x)
-      maxY = Math.max(maxY, y)
-    })
-    
-    if (minX === Infinity) return
+    const mask = paintMaskRef.current
+    if (!mask || !imageRef.current) return
     
-    // Scale ROI coordinates back to original image dimensions
-    // The ROI will be used to extract pixels from the ORIGINAL image (not the overlay)
-    const scaleX = imageRef.current.width / canvas.width
-    const scaleY = imageRef.current.height / canvas.height
-    
-    const scaledROI = {
-      x: minX * scaleX,
-      y: minY * scaleY,
-      width: (maxX - minX) * scaleX,
-      height: (maxY - minY) * scaleY,
-      // Keep canvas coordinates for display
-      canvasX: minX,
-      canvasY: minY,
-      canvasWidth: maxX - minX,
-      canvasHeight: maxY - minY,
-      // Store painted pixels for exact region (optional - for future use)
-      paintedPixels: Array.from(paintedPixels)
-    }
+    // The paint mask is already in original image coordinates
+    // The ROI and its mask will be used to extract pixels from the ORIGINAL image (not the overlay)
+    const roi = paintMaskToROI(mask)
+    if (!roi) return
     
     // Save ROI - this will be used to analyze ONLY the original image
     // The overlay paint does NOT affect the analysis
-    onROIUpdate(scaledROI)
+    setDirty(false)
+    onROIUpdate(roi, roiTarget)
+  }
+
+  const rotation = getRotation(image?.transform)
+  const quarterTurns = Math.round(rotation / 90)
+  const fineRotation = rotation - quarterTurns * 90
+
+  const applyRotation = (degrees) => {
+    const next = normalizeRotation(Math.round(degrees * 10) / 10)
+    if (next === rotation) return
+    const hasROI = Object.values(ROI_TARGETS).some(({ field }) => image[field]) || paintCount > 0
+    if (hasROI && !window.confirm('Rotating the image clears its ROIs and painting. Continue?')) return
+    onTransformUpdate(next === 0 ? null : { rotation: next })
+  }
+
+  // Search a downscaled copy of the unrotated image for the strip's long edges
+  const handleAutoStraighten = () => {
+    const img = imageRef.current
+    if (!img) return
+
+    const scale = Math.min(1, STRAIGHTEN_SAMPLE_SIZE / Math.max(img.width, img.height))
+    const sample = document.createElement('canvas')
+    sample.width = Math.max(1, Math.round(img.width * scale))
+    sample.height = Math.max(1, Math.round(img.height * scale))
+    const ctx = sample.getContext('2d', { willReadFrequently: true })
+    ctx.drawImage(img, 0, 0, sample.width, sample.height)
+
+    const correction = findStraighteningAngle(ctx.getImageData(0, 0, sample.width, sample.height))
+    setStraightenFailed(correction === null)
+    // Keep the 90° steps chosen by the user, the edges stay aligned either way
+    if (correction !== null) applyRotation(quarterTurns * 90 + correction)
   }
 
   if (!image) {
@@ -261,19 +926,53 @@ function ImageCanvas({ image, onROIUpdate, onDPOUpdate }) {
       <div className="canvas-header">
         <h3>Paint ROI (Region of Interest)</h3>
         <div className="toolbar">
+          <div className="mode-selector roi-target-selector">
+            {Object.entries(ROI_TARGETS).map(([key, { label, field }]) => (
+              <button
+                key={key}
+                className={roiTarget === key ? 'active' : ''}
+                onClick={() => handleTargetChange(key)}
+                title={image[field] ? `${label} ROI saved` : `${label} ROI not saved`}
+              >
+                {label}{image[field] ? ' ✓' : ''}
+              </button>
+            ))}
+          </div>
           <div className="mode-selector">
-            <button
-              className={mode === 'paint' ? 'active' : ''}
-              onClick={() => setMode('paint')}
-            >
-              Paint
+            {Object.entries(TOOLS).map(([key, { label, title }]) => (
+              <button
+                key={key}
+                className={mode === key ? 'active' : ''}
+                onClick={() => handleToolChange(key)}
+                title={title}
+              >
+                {label}
+              </button>
+            ))}
+            {snapFailed && <span className="tool-note">No line found at that point</span>}
+          </div>
+          <div className="zoom-controls">
+            <button onClick={() => zoomAt(1 / ZOOM_STEP, getCanvasCenter())} disabled={view.zoom <= 1} title="Zoom out">
+              −
             </button>
-            <button
-              className={mode === 'erase' ? 'active' : ''}
-              onClick={() => setMode('erase')}
-            >
-              Eraser
+            <span title="Zoom relative to fitting the image to the width">{Math.round(view.zoom * 100)}%</span>
+            <button onClick={() => zoomAt(ZOOM_STEP, getCanvasCenter())} title="Zoom in (or use the mouse wheel / pinch)">
+              +
             </button>
+            <button onClick={() => updateView(DEFAULT_VIEW)} disabled={view.zoom === 1}>
+              Fit
+            </button>
+            <label className="loupe-toggle">
+              <input
+                type="checkbox"
+                checked={showLoupe}
+                onChange={(e) => {
+                  setShowLoupe(e.target.checked)
+                  hideLoupe()
+                }}
+              />
+              Loupe
+            </label>
           </div>
           <div className="brush-size">
             <label>Brush Size:</label>
@@ -284,43 +983,113 @@ function ImageCanvas({ image, onROIUpdate, onDPOUpdate }) {
               value={brushSize}
               onChange={(e) => setBrushSize(Number(e.target.value))}
             />
-            <span>{brushSize}px</span>
+            <span title="Brush diameter in image pixels at the current zoom">
+              {brushSize}px
+              {layoutRef.current && ` (${formatImagePixels(brushSize / (layoutRef.current.fitScale * view.zoom))} image px)`}
+            </span>
+          </div>
+          <div className="rotation-tools">
+            <button onClick={() => applyRotation(rotation - 90)} title="Rotate 90° anticlockwise">⟲ 90°</button>
+            <button onClick={() => applyRotation(rotation + 90)} title="Rotate 90° clockwise">⟳ 90°</button>
+            <label htmlFor="fine-rotation">Straighten:</label>
+            <input
+              id="fine-rotation"
+              type="range"
+              min="-45"
+              max="45"
+              step="0.1"
+              value={fineRotation}
+              onChange={(e) => applyRotation(quarterTurns * 90 + Number(e.target.value))}
+            />
+            <span>{rotation.toFixed(1)}°</span>
+            <button onClick={handleAutoStraighten} title="Rotate so the strip edges are exactly horizontal or vertical">
+              Auto
+            </button>
+            <button onClick={() => applyRotation(0)} disabled={rotation === 0}>
+              Reset
+            </button>
+            {straightenFailed && <span className="rotation-note">No straight edges found</span>}
           </div>
+          <label
+            className="detection-toggle"
+            title={image.detection ? 'Show the pixels used by the last analysis' : 'Run the analysis to see detected pixels'}
+          >
+            <input
+              type="checkbox"
+              checked={showDetection}
+              onChange={(e) => setShowDetection(e.target.checked)}
+              disabled={!image.detection}
+            />
+            Show detection
+          </label>
           <div className="action-buttons">
-            <button onClick={handleUndo} disabled={history.length === 0} className="undo-button">
+            {dirty && <span className="unsaved-note" title="Save the ROI to use this painting in the analysis">Unsaved</span>}
+            <button onClick={handleUndo} disabled={history.length === 0} className="undo-button" title="Undo (Ctrl+Z)">
               Undo
             </button>
-            <button onClick={handleClearROI} className="clear-button">
+            <button onClick={handleRedo} disabled={redoStack.length === 0} className="redo-button" title="Redo (Ctrl+Shift+Z)">
+              Redo
+            </button>
+            <button onClick={handleClearROI} disabled={paintCount === 0} className="clear-button">
               Clear
             </button>
-            <button onClick={handleSaveROI} disabled={paintedPixels.size === 0} className="save-button">
+            <button onClick={handleSaveROI} disabled={paintCount === 0} className="save-button">
               Save ROI
             </button>
           </div>
         </div>
       </div>
       
+      {loadError && (
+        <div className="image-load-error" role="alert">
+          {image.file.name} could not be displayed. Replace it with a JPEG, PNG or WebP copy of the photo.
+        </div>
+      )}
+
       <div ref={containerRef} className="canvas-wrapper">
         <canvas
           ref={canvasRef}
           style={{ position: 'absolute', top: 0, left: 0 }}
         />
+        <canvas
+          ref={paintCanvasRef}
+          style={{ position: 'absolute', top: 0, left: 0, pointerEvents: 'none' }}
+        />
         <canvas
           ref={overlayCanvasRef}
-          onMouseDown={handleMouseDown}
-          onMouseMove={handleMouseMove}
-          onMouseUp={handleMouseUp}
-          onMouseLeave={handleMouseUp}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerLeave={() => {
+            hideLoupe()
+            setPolygonHover(null)
+          }}
+          onDoubleClick={() => {
+            if (mode === 'polygon' && polygonPoints.length >= 3) closePolygon(polygonPoints)
+          }}
           style={{
             position: 'absolute',
             top: 0,
             left: 0,
-            cursor: mode === 'paint' ? 'crosshair' : mode === 'erase' ? 'grab' : 'default',
-            pointerEvents: 'auto'
+            cursor: TOOLS[mode].cursor,
+            pointerEvents: 'auto',
+            touchAction: 'none'
           }}
         />
+        {showLoupe && (
+          <canvas ref={loupeCanvasRef} className="loupe" width={LOUPE_SIZE} height={LOUPE_SIZE} />
+        )}
       </div>
 
+      {showDetection && image.detection && (
+        <div className="detection-legend">
+          <span><i className="swatch swatch-selection" /> Detected line</span>
+          <span><i className="swatch swatch-threshold" /> Threshold boundary</span>
+          <span><i className="swatch swatch-roi" /> ROI outline</span>
+        </div>
+      )}
+
       <div className="image-info">
         <div className="dpo-input">
           <label>DPO (Days Past Ovulation):</label>
@@ -330,7 +1099,33 @@ function ImageCanvas({ image, onROIUpdate, onDPOUpdate }) {
             onChange={handleDPOChange}
             placeholder="Enter DPO"
             min="0"
+            step="any"
           />
+          {image.captureTime && (
+            <span className="dpo-source">
+              {image.dpoSource === 'exif' && <>From capture time {new Date(image.captureTime).toLocaleString()}</>}
+              {image.dpoSource !== 'exif' && !ovulationDate && (
+                <>Taken {new Date(image.captureTime).toLocaleString()}; set the ovulation date to fill in DPO</>
+              )}
+              {image.dpoSource === 'manual' && ovulationDate && (
+                <button onClick={onDPOReset} className="dpo-reset-button">
+                  Use capture time
+                </button>
+              )}
+            </span>
+          )}
+          <label htmlFor="time-of-day-select">Time of day:</label>
+          <select
+            id="time-of-day-select"
+            value={image.timeOfDay || ''}
+            onChange={(e) => onTimeOfDayUpdate(e.target.value)}
+            title="Tells tests taken on the same DPO apart"
+          >
+            <option value="">Not set</option>
+            {Object.entries(TIME_OF_DAY).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
         </div>
         
         {image.rgb && (
@@ -343,5 +1138,13 @@ function ImageCanvas({ image, onROIUpdate, onDPOUpdate }) {
   )
 }
 
+function rectangleCorners(start, end) {
+  return [start, { x: end.x, y: start.y }, end, { x: start.x, y: end.y }]
+}
+
+function formatImagePixels(value) {
+  return value >= 10 ? Math.round(value) : value.toFixed(1)
+}
+
 export default ImageCanvas
 
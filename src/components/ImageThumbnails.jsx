@@ -1,39 +1,153 @@
+import { useRef } from 'react'
+import { ROI_TARGETS } from '../utils/roiTargets'
+import { TIME_OF_DAY } from '../utils/dpo'
+import { LOW_CONFIDENCE } from '../utils/roiRegistration'
 import './ImageThumbnails.css'
 
-function ImageThumbnails({ images, selectedIndex, onSelect }) {
+function ImageThumbnails({
+  images,
+  selectedIndex,
+  onSelect,
+  onRemove,
+  onReplace,
+  onApplyROI,
+  onAcceptPlacement,
+  placingROIs,
+  unsavedImageIds,
+}) {
+  const replaceInputRef = useRef(null)
+  const replaceTargetRef = useRef(null)
+
   if (images.length === 0) return null
 
+  const handleReplaceClick = (e, image) => {
+    e.stopPropagation()
+    replaceTargetRef.current = image.id
+    replaceInputRef.current?.click()
+  }
+
+  const handleReplaceFile = (e) => {
+    const file = e.target.files?.[0]
+    if (file && replaceTargetRef.current !== null) {
+      onReplace(replaceTargetRef.current, file)
+    }
+    replaceTargetRef.current = null
+    e.target.value = ''
+  }
+
+  const handleRemoveClick = (e, image, index) => {
+    e.stopPropagation()
+    if (window.confirm(`Remove Image ${index + 1} (${image.file.name}) from the series?`)) {
+      onRemove(image.id)
+    }
+  }
+
+  const handleAcceptClick = (e, image) => {
+    e.stopPropagation()
+    onAcceptPlacement(image.id)
+  }
+
+  const selected = images[selectedIndex]
+  const canCopyROI = images.length > 1 && selected &&
+    Object.values(ROI_TARGETS).some(({ field }) => selected[field])
+
   return (
     <div className="thumbnails-container">
-      <h3>Images ({images.length})</h3>
+      <div className="thumbnails-header">
+        <h3>Images ({images.length})</h3>
+        {images.length > 1 && (
+          <div className="roi-copy-actions">
+            <span>ROIs of Image {selectedIndex + 1}:</span>
+            <button
+              onClick={() => onApplyROI('next')}
+              disabled={!canCopyROI || placingROIs || selectedIndex === images.length - 1}
+              title="Locate the same area on the next image and copy the ROIs there"
+            >
+              Apply to next
+            </button>
+            <button
+              onClick={() => onApplyROI('all')}
+              disabled={!canCopyROI || placingROIs}
+              title="Locate the same area on every other image and copy the ROIs there"
+            >
+              Apply ROI to all
+            </button>
+            {placingROIs && <span className="roi-copy-status">Locating…</span>}
+          </div>
+        )}
+      </div>
+      <input
+        ref={replaceInputRef}
+        type="file"
+        accept="image/*"
+        onChange={handleReplaceFile}
+        style={{ display: 'none' }}
+      />
       <div className="thumbnails-grid">
-        {images.map((image, index) => (
-          <div
-            key={image.id}
-            className={`thumbnail ${index === selectedIndex ? 'selected' : ''} ${!image.roi || !image.dpo ? 'incomplete' : ''}`}
-            onClick={() => onSelect(index)}
-          >
-            <img src={image.url} alt={`Image ${index + 1}`} />
-            <div className="thumbnail-info">
-              <div className="thumbnail-label">Image {index + 1}</div>
-              {image.dpo !== null && (
-                <div className="thumbnail-dpo">DPO: {image.dpo}</div>
-              )}
-              {image.rgb && (
-                <div className="thumbnail-rgb">
-                  RGB: ({image.rgb.r.toFixed(0)}, {image.rgb.g.toFixed(0)}, {image.rgb.b.toFixed(0)})
+        {images.map((image, index) => {
+          const placement = image.roiPlacement
+          const lowConfidence = placement && placement.confidence < LOW_CONFIDENCE
+          const sourceIndex = placement ? images.findIndex(img => img.id === placement.sourceId) : -1
+          return (
+            <div
+              key={image.id}
+              className={`thumbnail ${index === selectedIndex ? 'selected' : ''} ${!image.roi || image.dpo === null || image.dpo === undefined ? 'incomplete' : ''} ${lowConfidence ? 'needs-review' : ''}`}
+              onClick={() => onSelect(index)}
+            >
+              <img src={image.url} alt={`Image ${index + 1}`} />
+              <div className="thumbnail-info">
+                <div className="thumbnail-label">Image {index + 1}</div>
+                {image.dpo !== null && (
+                  <div className="thumbnail-dpo">
+                    DPO: {image.dpo}{image.timeOfDay && ` (${TIME_OF_DAY[image.timeOfDay].shortLabel})`}
+                  </div>
+                )}
+                {image.rgb && (
+                  <div className="thumbnail-rgb">
+                    RGB: ({image.rgb.r.toFixed(0)}, {image.rgb.g.toFixed(0)}, {image.rgb.b.toFixed(0)})
+                  </div>
+                )}
+                {placement && (
+                  <div
+                    className={`thumbnail-placement ${lowConfidence ? 'low' : ''}`}
+                    title="How closely the area around the ROIs matches the image they were copied from"
+                  >
+                    {lowConfidence ? '⚠ ' : ''}Copied{sourceIndex !== -1 ? ` from Image ${sourceIndex + 1}` : ''}:
+                    {' '}{Math.round(placement.confidence * 100)}% match
+                  </div>
+                )}
+                {unsavedImageIds.has(image.id) && (
+                  <div className="thumbnail-unsaved" title="Painted ROI changes on this image have not been saved">
+                    ● Unsaved ROI painting
+                  </div>
+                )}
+                <div className="thumbnail-status">
+                  {image.roi && image.dpo !== null ? '✓ Ready' : '⚠ Incomplete'}
+                </div>
+                <div className="thumbnail-actions">
+                  {placement && (
+                    <button onClick={(e) => handleAcceptClick(e, image)} title="Mark the copied ROIs as checked">
+                      OK
+                    </button>
+                  )}
+                  <button onClick={(e) => handleReplaceClick(e, image)} title="Replace this photo">
+                    Replace
+                  </button>
+                  <button
+                    onClick={(e) => handleRemoveClick(e, image, index)}
+                    className="thumbnail-remove"
+                    title="Remove this photo from the series"
+                  >
+                    Remove
+                  </button>
                 </div>
-              )}
-              <div className="thumbnail-status">
-                {image.roi && image.dpo !== null ? '✓ Ready' : '⚠ Incomplete'}
               </div>
             </div>
-          </div>
-        ))}
+          )
+        })}
       </div>
     </div>
   )
 }
 
 export default ImageThumbnails
-
@@ -7,8 +7,10 @@ function ImageUpload({ onUpload }) {
   const handleFileChange = (e) => {
     const files = e.target.files
     if (files && files.length > 0) {
-      onUpload(files)
+      onUpload(Array.from(files))
     }
+    // Allow picking the same file again later
+    e.target.value = ''
   }
 
   const handleClick = () => {
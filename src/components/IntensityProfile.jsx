@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react'
+import { computeIntensityProfile } from '../utils/imageProcessing'
+import { INTENSITY_METRICS } from '../utils/intensityMetrics'
+import './IntensityProfile.css'
+
+const CHART_WIDTH = 320
+const CHART_HEIGHT = 200
+const PADDING = { top: 12, right: 12, bottom: 28, left: 40 }
+
+function IntensityProfile({ image, metric }) {
+  const [profile, setProfile] = useState(null)
+  const [error, setError] = useState(null)
+
+  const roi = image?.roi
+
+  useEffect(() => {
+    setProfile(null)
+    setError(null)
+    if (!image || !roi) return
+
+    // Ignore results of a previous image/ROI that finish late
+    let cancelled = false
+    computeIntensityProfile(image.url, roi, { metric, transform: image.transform })
+      .then(result => {
+        if (!cancelled) setProfile(result)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message)
+      })
+
+    return () => { cancelled = true }
+  }, [image?.url, image?.transform, roi, metric])
+
+  const metricLabel = INTENSITY_METRICS[metric]?.shortLabel || 'Intensity'
+
+  return (
+    <div className="intensity-profile-container">
+      <h3>Intensity Profile</h3>
+      {!roi && <div className="profile-placeholder">Save a test-line ROI to see its profile</div>}
+      {roi && error && <div className="profile-placeholder">Could not compute profile: {error}</div>}
+      {roi && !error && !profile && <div className="profile-placeholder">Computing…</div>}
+      {profile && <ProfileChart profile={profile} metricLabel={metricLabel} />}
+    </div>
+  )
+}
+
+function ProfileChart({ profile, metricLabel }) {
+  const { axis, values, peakIndex, baseline, peakHeight, area, start, end } = profile
+  const defined = values.filter(value => value !== null)
+  if (defined.length < 2) {
+    return <div className="profile-placeholder">ROI is too small for a profile</div>
+  }
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom
+  const min = Math.min(...defined)
+  const max = Math.max(...defined)
+  const range = max - min || 1
+
+  const toX = (index) => PADDING.left + (index / (values.length - 1)) * plotWidth
+  const toY = (value) => PADDING.top + (1 - (value - min) / range) * plotHeight
+
+  const points = values
+    .map((value, index) => value !== null ? `${toX(index)},${toY(value)}` : null)
+    .filter(Boolean)
+    .join(' ')
+
+  // Shaded area between the peak and the baseline
+  const peakSpan = []
+  for (let index = start; index <= end; index++) {
+    if (values[index] !== null) peakSpan.push(index)
+  }
+  const areaPoints = peakSpan.length > 0 && [
+    `${toX(peakSpan[0])},${toY(baseline)}`,
+    ...peakSpan.map(index => `${toX(index)},${toY(Math.max(values[index], baseline))}`),
+    `${toX(peakSpan[peakSpan.length - 1])},${toY(baseline)}`,
+  ].join(' ')
+
+  return (
+    <>
+      <svg
+        className="profile-chart"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        role="img"
+        aria-label="Intensity profile across the ROI"
+      >
+        <line
+          className="axis"
+          x1={PADDING.left} y1={PADDING.top + plotHeight}
+          x2={PADDING.left + plotWidth} y2={PADDING.top + plotHeight}
+        />
+        <line
+          className="axis"
+          x1={PADDING.left} y1={PADDING.top}
+          x2={PADDING.left} y2={PADDING.top + plotHeight}
+        />
+        <text className="tick" x={PADDING.left - 4} y={PADDING.top + 4} textAnchor="end">{max.toFixed(0)}</text>
+        <text className="tick" x={PADDING.left - 4} y={PADDING.top + plotHeight} textAnchor="end">{min.toFixed(0)}</text>
+        <text className="tick" x={PADDING.left + plotWidth / 2} y={CHART_HEIGHT - 6} textAnchor="middle">
+          {axis === 'rows' ? 'Row' : 'Column'} within ROI
+        </text>
+
+        {areaPoints && <polygon className="peak-area" points={areaPoints} />}
+        <line
+          className="baseline"
+          x1={PADDING.left} y1={toY(baseline)}
+          x2={PADDING.left + plotWidth} y2={toY(baseline)}
+        />
+        <polyline className="profile-line" points={points} />
+        <line
+          className="peak-marker"
+          x1={toX(peakIndex)} y1={toY(values[peakIndex])}
+          x2={toX(peakIndex)} y2={toY(baseline)}
+        />
+        <circle className="peak-point" cx={toX(peakIndex)} cy={toY(values[peakIndex])} r="4" />
+      </svg>
+
+      <div className="profile-metrics">
+        <div><strong>Metric:</strong> {metricLabel}</div>
+        <div><strong>Baseline:</strong> {baseline.toFixed(2)}</div>
+        <div><strong>Peak height:</strong> {peakHeight.toFixed(2)}</div>
+        <div><strong>Peak area:</strong> {area.toFixed(1)}</div>
+      </div>
+    </>
+  )
+}
+
+export default IntensityProfile
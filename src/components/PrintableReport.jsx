@@ -0,0 +1,59 @@
+import ResultsTable from './ResultsTable'
+import { ChartPlot } from './ProgressionChart'
+import { INTENSITY_METRICS } from '../utils/intensityMetrics'
+import { groupByDay } from '../utils/progression'
+
+/**
+ * Static report layout rendered to HTML for printing / saving as PDF
+ * Not mounted in the app; ExportMenu renders it with renderToStaticMarkup.
+ */
+function PrintableReport({ title, generatedAt, thumbnails, results, trend }) {
+  const valueKind = results[0]?.valueKind
+  const metricLabel = INTENSITY_METRICS[results[0]?.metric]?.shortLabel || 'Intensity'
+  const yLabel = `${valueKind === 'tcRatio' ? 'T/C ratio' : `Intensity (${metricLabel})`}` +
+    `${results[0]?.valueCalibrated ? ', white-balanced' : ''}`
+  const drawnFit = trend.preferredModel ? trend[trend.preferredModel] : null
+  const points = trend.points.map(point => ({
+    x: point.dpo,
+    y: point.value,
+    imageId: point.imageId,
+    flagged: point.flagged,
+  }))
+
+  return (
+    <div className="report">
+      <header className="report-header">
+        <h1>{title}</h1>
+        <div className="report-meta">Generated {generatedAt.toLocaleString()}</div>
+      </header>
+
+      <section>
+        <h2>Test lines</h2>
+        <div className="report-thumbnails">
+          {thumbnails.map(thumbnail => (
+            <figure key={thumbnail.imageId}>
+              {thumbnail.dataUrl
+                ? <img src={thumbnail.dataUrl} alt={thumbnail.name} />
+                : <div className="report-no-roi">No ROI</div>}
+              <figcaption>
+                DPO {thumbnail.dpo ?? '—'}
+                <span>{thumbnail.name}</span>
+              </figcaption>
+            </figure>
+          ))}
+        </div>
+      </section>
+
+      <section className="report-section">
+        <ResultsTable results={results} trend={trend} />
+      </section>
+
+      <section className="report-section progression-chart-container">
+        <h3>Progression</h3>
+        <ChartPlot points={points} days={groupByDay(results)} fit={drawnFit} yLabel={yLabel} />
+      </section>
+    </div>
+  )
+}
+
+export default PrintableReport
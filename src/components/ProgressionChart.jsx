@@ -0,0 +1,205 @@
+import { useState } from 'react'
+import { INTENSITY_METRICS } from '../utils/intensityMetrics'
+import { analyzeTrend } from '../utils/trendAnalysis'
+import { groupByDay } from '../utils/progression'
+import './ProgressionChart.css'
+
+const CHART_WIDTH = 720
+const CHART_HEIGHT = 320
+const PADDING = { top: 20, right: 20, bottom: 40, left: 60 }
+const TREND_SAMPLES = 60
+
+function ProgressionChart({ results: allResults, deviationThreshold, selectedImageId, onSelectImage }) {
+  // Both series are plotted from the white-balanced values when the progression uses them
+  const calibrated = allResults[0]?.valueCalibrated
+  const results = calibrated
+    ? allResults.map(result => ({ ...result, intensity: result.calibrated.intensity, tcRatio: result.calibrated.tcRatio }))
+    : allResults
+  const hasRatio = results.length > 0 && results.every(result => result.tcRatio !== null && result.tcRatio !== undefined)
+  const [series, setSeries] = useState('auto') // 'auto', 'intensity' or 'tcRatio'
+
+  if (results.length === 0) return null
+
+  const valueKey = series === 'auto' ? results[0].valueKind : series
+  const metricLabel = INTENSITY_METRICS[results[0].metric]?.shortLabel || 'Intensity'
+  const yLabel = `${valueKey === 'tcRatio' ? 'T/C ratio' : `Intensity (${metricLabel})`}${calibrated ? ', white-balanced' : ''}`
+
+  const trend = analyzeTrend(results, { valueKey, deviationThreshold })
+  const fit = trend.exponential
+  // Draw the model the deviation flags are measured against
+  const drawnFit = trend.preferredModel ? trend[trend.preferredModel] : null
+  const points = trend.points.map(point => ({
+    x: point.dpo,
+    y: point.value,
+    imageId: point.imageId,
+    flagged: point.flagged,
+  }))
+  const days = groupByDay(results.map(result => ({ ...result, value: result[valueKey] })))
+    .filter(day => day.results.every(result => Number.isFinite(result.value)))
+
+  return (
+    <div className="progression-chart-container">
+      <div className="progression-chart-header">
+        <h3>Progression</h3>
+        {hasRatio && (
+          <div className="series-selector">
+            <button
+              className={valueKey === 'tcRatio' ? 'active' : ''}
+              onClick={() => setSeries('tcRatio')}
+            >
+              T/C ratio
+            </button>
+            <button
+              className={valueKey === 'intensity' ? 'active' : ''}
+              onClick={() => setSeries('intensity')}
+            >
+              Intensity
+            </button>
+          </div>
+        )}
+      </div>
+
+      <ChartPlot
+        points={points}
+        days={days}
+        fit={drawnFit}
+        yLabel={yLabel}
+        selectedImageId={selectedImageId}
+        onSelectImage={onSelectImage}
+      />
+
+      <div className="progression-summary">
+        {fit === null && 'At least two days with a positive value are needed for a trend.'}
+        {fit && fit.doublingTime !== null && (
+          <>
+            Estimated doubling time: <strong>{fit.doublingTime.toFixed(2)} days</strong>
+            {fit.doublingTimeCI && (
+              <> (95% CI {fit.doublingTimeCI[0].toFixed(2)}–{Number.isFinite(fit.doublingTimeCI[1]) ? fit.doublingTimeCI[1].toFixed(2) : '∞'})</>
+            )}
+            {fit.r2 !== null && <>, R² {fit.r2.toFixed(3)}</>}
+          </>
+        )}
+        {fit && fit.doublingTime === null && 'The fitted trend is not increasing, so there is no doubling time.'}
+        {trend.preferredModel && (
+          <div className="trend-legend">
+            Dashed line: {trend.preferredModel} fit (best R²). Orange rings mark tests deviating more
+            than {Math.round(deviationThreshold * 100)}% from it.
+            {days.some(day => day.results.length > 1) && ' Bars show the mean ± standard deviation of days with several tests.'}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * SVG scatter plot of value against DPO with a fitted trend line
+ * `fit` is any model with a `predict(x)` function. `days` (see groupByDay)
+ * adds the mean and spread of days with several tests.
+ * Exported separately so reports can render the same chart without interaction
+ */
+export function ChartPlot({ points, days = [], fit, yLabel, selectedImageId = null, onSelectImage = null }) {
+  if (points.length === 0) {
+    return <div className="chart-placeholder">No values to plot</div>
+  }
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom
+
+  const xs = points.map(p => p.x)
+  const minX = Math.min(...xs)
+  const maxX = Math.max(...xs)
+  const xRange = maxX - minX || 1
+
+  const trend = fit
+    ? Array.from({ length: TREND_SAMPLES + 1 }, (_, i) => {
+        const x = minX + (i / TREND_SAMPLES) * xRange
+        return { x, y: fit.predict(x) }
+      })
+    : []
+
+  const spreads = days
+    .filter(day => day.results.length > 1)
+    .map(day => ({ x: day.dpo, mean: day.mean, low: day.mean - day.spread, high: day.mean + day.spread }))
+
+  const ys = [...points.map(p => p.y), ...trend.map(p => p.y), ...spreads.map(s => s.high)]
+  const minY = Math.min(0, ...points.map(p => p.y), ...spreads.map(s => s.low))
+  const maxY = Math.max(...ys)
+  const yRange = maxY - minY || 1
+
+  const toX = (x) => PADDING.left + ((x - minX) / xRange) * plotWidth
+  const toY = (y) => PADDING.top + (1 - (y - minY) / yRange) * plotHeight
+
+  const xTicks = []
+  for (let dpo = Math.ceil(minX); dpo <= Math.floor(maxX); dpo++) xTicks.push(dpo)
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(f => minY + f * yRange)
+
+  return (
+    <svg
+      className="progression-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={`${yLabel} by DPO`}
+    >
+      {yTicks.map(tick => (
+        <g key={`y${tick}`}>
+          <line className="grid" x1={PADDING.left} y1={toY(tick)} x2={PADDING.left + plotWidth} y2={toY(tick)} />
+          <text className="tick" x={PADDING.left - 6} y={toY(tick) + 4} textAnchor="end">
+            {Math.abs(yRange) < 5 ? tick.toFixed(2) : tick.toFixed(0)}
+          </text>
+        </g>
+      ))}
+      {xTicks.map(tick => (
+        <text key={`x${tick}`} className="tick" x={toX(tick)} y={PADDING.top + plotHeight + 16} textAnchor="middle">
+          {tick}
+        </text>
+      ))}
+      <line
+        className="axis"
+        x1={PADDING.left} y1={PADDING.top + plotHeight}
+        x2={PADDING.left + plotWidth} y2={PADDING.top + plotHeight}
+      />
+      <line className="axis" x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + plotHeight} />
+      <text className="axis-label" x={PADDING.left + plotWidth / 2} y={CHART_HEIGHT - 4} textAnchor="middle">DPO</text>
+      <text
+        className="axis-label"
+        x={14}
+        y={PADDING.top + plotHeight / 2}
+        textAnchor="middle"
+        transform={`rotate(-90 14 ${PADDING.top + plotHeight / 2})`}
+      >
+        {yLabel}
+      </text>
+
+      {trend.length > 0 && (
+        <polyline className="trend-line" points={trend.map(p => `${toX(p.x)},${toY(p.y)}`).join(' ')} />
+      )}
+
+      {spreads.map(spread => (
+        <g key={`day${spread.x}`} className="day-spread">
+          <line x1={toX(spread.x)} y1={toY(spread.low)} x2={toX(spread.x)} y2={toY(spread.high)} />
+          <line x1={toX(spread.x) - 5} y1={toY(spread.low)} x2={toX(spread.x) + 5} y2={toY(spread.low)} />
+          <line x1={toX(spread.x) - 5} y1={toY(spread.high)} x2={toX(spread.x) + 5} y2={toY(spread.high)} />
+          <rect className="day-mean" x={toX(spread.x) - 4} y={toY(spread.mean) - 4} width="8" height="8" />
+          <title>DPO {Math.floor(spread.x)} mean: {spread.mean.toFixed(3)} ± {(spread.high - spread.mean).toFixed(3)}</title>
+        </g>
+      ))}
+
+      {points.map((point, index) => (
+        <circle
+          key={point.imageId ?? index}
+          className={`data-point ${point.imageId === selectedImageId ? 'selected' : ''} ${point.flagged ? 'flagged' : ''} ${onSelectImage ? 'interactive' : ''}`}
+          cx={toX(point.x)}
+          cy={toY(point.y)}
+          r={point.imageId === selectedImageId ? 7 : 5}
+          onMouseEnter={onSelectImage ? () => onSelectImage(point.imageId) : undefined}
+          onClick={onSelectImage ? () => onSelectImage(point.imageId) : undefined}
+        >
+          <title>DPO {point.x}: {point.y.toFixed(3)}{point.flagged ? ' (deviates from trend)' : ''}</title>
+        </circle>
+      ))}
+    </svg>
+  )
+}
+
+export default ProgressionChart
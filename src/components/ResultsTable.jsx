@@ -1,41 +1,228 @@
+import { Fragment } from 'react'
+import { INTENSITY_METRICS } from '../utils/intensityMetrics'
+import { LINE_DETECTORS } from '../utils/lineDetectors'
+import { groupByDay } from '../utils/progression'
+import { TIME_OF_DAY } from '../utils/dpo'
 import './ResultsTable.css'
 
-function ResultsTable({ results }) {
+function formatChange(value, digits = 2) {
+  if (value === null || value === undefined) return '—'
+  return `${value > 0 ? '+' : ''}${value.toFixed(digits)}`
+}
+
+function formatValue(value, digits = 2) {
+  if (value === null || value === undefined) return '—'
+  return value.toFixed(digits)
+}
+
+function DetectionDiagnostics({ diagnostics, controlDiagnostics }) {
+  if (!diagnostics) return '—'
+  const { detector, threshold, pixelCount, fallback, confidence } = diagnostics
+  const level = fallback || confidence < 0.3 ? 'low' : confidence < 0.7 ? 'medium' : 'high'
+  const title = [
+    `Detector: ${LINE_DETECTORS[detector]?.label || detector}`,
+    controlDiagnostics && `Control line: ${controlDiagnostics.pixelCount} px, ` +
+      `${Math.round(controlDiagnostics.confidence * 100)}% confidence` +
+      `${controlDiagnostics.fallback ? ', fallback used' : ''}`,
+  ].filter(Boolean).join('\n')
+
+  return (
+    <div className="detection-diagnostics" title={title}>
+      <span className={`confidence confidence-${level}`}>
+        {Math.round(confidence * 100)}%
+      </span>
+      <span>thr {threshold !== null ? threshold.toFixed(1) : '—'}</span>
+      <span>{pixelCount} px</span>
+      {fallback && <span className="fallback-flag">fallback</span>}
+    </div>
+  )
+}
+
+function formatDoublingTime(exponential) {
+  if (!exponential || exponential.doublingTime === null) return 'not increasing'
+  const text = `${exponential.doublingTime.toFixed(2)} days`
+  if (!exponential.doublingTimeCI) return text
+  const [low, high] = exponential.doublingTimeCI
+  return `${text} (95% CI ${low.toFixed(2)}–${Number.isFinite(high) ? high.toFixed(2) : '∞'})`
+}
+
+function TrendSummary({ trend, digits }) {
+  if (!trend || (!trend.exponential && !trend.linear)) return null
+  const { exponential, linear, preferredModel } = trend
+
+  return (
+    <div className="trend-summary">
+      {exponential && (
+        <div className={preferredModel === 'exponential' ? 'preferred' : ''}>
+          <strong>Exponential fit:</strong> doubling time {formatDoublingTime(exponential)},
+          R² {formatValue(exponential.r2, 3)}
+          {exponential.excluded > 0 &&
+            ` (${exponential.excluded} test${exponential.excluded === 1 ? '' : 's'} at or below zero left out of the fit)`}
+        </div>
+      )}
+      {linear && (
+        <div className={preferredModel === 'linear' ? 'preferred' : ''}>
+          <strong>Linear fit:</strong> {formatChange(linear.slope, digits)} per day,
+          R² {formatValue(linear.r2, 3)}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function referenceTitle(calibrated) {
+  const { r, g, b } = calibrated.reference.rgb
+  const rgb = calibrated.rgb
+  return [
+    `Calibrated RGB: R: ${rgb.r.toFixed(2)}, G: ${rgb.g.toFixed(2)}, B: ${rgb.b.toFixed(2)}`,
+    `White reference: R: ${r.toFixed(2)}, G: ${g.toFixed(2)}, B: ${b.toFixed(2)}`,
+    calibrated.reference.clipped && 'The reference looks over-exposed, so the exposure correction is too weak',
+  ].filter(Boolean).join('\n')
+}
+
+function changeClassName(value) {
+  if (value === null || value === undefined) return ''
+  return value > 0 ? 'positive' : value < 0 ? 'negative' : ''
+}
+
+function ResultsTable({ results, trend }) {
   if (results.length === 0) return null
 
-  const totalRateOfChange = results.length > 1
-    ? results[results.length - 1].rgb - results[0].rgb
+  const first = results[0]
+  const usesRatio = first.valueKind === 'tcRatio'
+  const hasControl = results.some(result => result.control)
+  const hasCalibrated = results.some(result => result.calibrated)
+  // T/C ratios are small numbers, so show more precision for them
+  const digits = usesRatio ? 3 : 2
+
+  // Same-day tests are averaged, so the totals run from the first day's mean to the last's
+  const days = groupByDay(results)
+  const firstDay = days[0]
+  const lastDay = days[days.length - 1]
+  const totalChange = days.length > 1
+    ? lastDay.mean - firstDay.mean
     : 0
+  const dpoSpan = lastDay.dpo - firstDay.dpo
+  const averageChangePerDay = dpoSpan > 0 ? totalChange / dpoSpan : null
+
+  const metricLabel = INTENSITY_METRICS[first.metric]?.shortLabel || 'Intensity'
+
+  const trendPoints = new Map((trend?.points || []).map(point => [point.imageId, point]))
+
+  // Position of the progression metric's column, so the totals line up under it
+  const calibratedIndex = hasControl ? 5 : 3
+  const primaryIndex = first.valueCalibrated
+    ? calibratedIndex + (usesRatio ? 1 : 0)
+    : usesRatio ? 4 : 2
+  const changeIndex = hasCalibrated ? calibratedIndex + (hasControl ? 2 : 1) : calibratedIndex
 
   return (
     <div className="results-table-container">
       <h3>Analysis Results</h3>
+      <p className="results-summary">
+        Progression metric: <strong>{usesRatio ? 'T/C ratio' : `Test-line intensity (${metricLabel})`}</strong>
+        {first.valueCalibrated && ', white-balanced against the reference patch'}
+        {!usesRatio && hasControl && ' — paint a control line on every image to compare T/C ratios'}
+        {hasCalibrated && !first.valueCalibrated &&
+          ' — paint a usable white reference on every image to compare calibrated values'}
+      </p>
+      <TrendSummary trend={trend} digits={digits} />
       <table className="results-table">
         <thead>
           <tr>
             <th>DPO</th>
             <th>Average RGB</th>
-            <th>Rate of Change</th>
+            <th>Test ({metricLabel})</th>
+            {hasControl && <th>Control ({metricLabel})</th>}
+            {hasControl && <th>T/C Ratio</th>}
+            {hasCalibrated && <th>Calibrated ({metricLabel})</th>}
+            {hasCalibrated && hasControl && <th>Calibrated T/C</th>}
+            <th>Change / Day</th>
+            <th>Trend Deviation</th>
+            <th>Detection</th>
           </tr>
         </thead>
         <tbody>
-          {results.map((result, index) => (
-            <tr key={index}>
-              <td>{result.dpo}</td>
-              <td>
-                R: {result.rgb.r.toFixed(2)}, G: {result.rgb.g.toFixed(2)}, B: {result.rgb.b.toFixed(2)}
-              </td>
-              <td className={result.rateOfChange > 0 ? 'positive' : result.rateOfChange < 0 ? 'negative' : ''}>
-                {result.rateOfChange > 0 ? '+' : ''}{result.rateOfChange.toFixed(2)}
-              </td>
-            </tr>
+          {days.map(day => (
+            <Fragment key={day.day}>
+              {day.results.map(result => {
+                const trendPoint = trendPoints.get(result.imageId)
+                const { calibrated } = result
+                return (
+                  <tr key={result.imageId} className={trendPoint?.flagged ? 'flagged-row' : ''}>
+                    <td>
+                      {result.dpo}
+                      {result.timeOfDay && <span className="time-of-day"> {TIME_OF_DAY[result.timeOfDay].shortLabel}</span>}
+                    </td>
+                    <td>
+                      R: {result.rgb.r.toFixed(2)}, G: {result.rgb.g.toFixed(2)}, B: {result.rgb.b.toFixed(2)}
+                    </td>
+                    <td>{result.intensity.toFixed(2)}</td>
+                    {hasControl && <td>{formatValue(result.control?.intensity)}</td>}
+                    {hasControl && (
+                      <td className={usesRatio && !first.valueCalibrated ? 'primary-metric' : ''}>
+                        {formatValue(result.tcRatio, 3)}
+                      </td>
+                    )}
+                    {hasCalibrated && (
+                      <td
+                        className={`calibrated-value${calibrated?.reference.clipped ? ' clipped' : ''}`}
+                        title={calibrated ? referenceTitle(calibrated) : 'No usable white reference'}
+                      >
+                        {formatValue(calibrated?.intensity)}
+                      </td>
+                    )}
+                    {hasCalibrated && hasControl && (
+                      <td className={usesRatio && first.valueCalibrated ? 'primary-metric' : ''}>
+                        {formatValue(calibrated?.tcRatio, 3)}
+                      </td>
+                    )}
+                    {/* Days with several tests show their change on the day row */}
+                    <td className={day.results.length === 1 ? changeClassName(result.rateOfChange) : ''}>
+                      {day.results.length === 1 ? formatChange(result.rateOfChange, digits) : '—'}
+                    </td>
+                    <td className={trendPoint?.flagged ? 'flagged' : ''}>
+                      {trendPoint?.deviation !== null && trendPoint?.deviation !== undefined
+                        ? `${formatChange(trendPoint.deviation * 100, 0)}%${trendPoint.flagged ? ' ⚠' : ''}`
+                        : '—'}
+                    </td>
+                    <td>
+                      <DetectionDiagnostics
+                        diagnostics={result.diagnostics}
+                        controlDiagnostics={result.control?.diagnostics}
+                      />
+                    </td>
+                  </tr>
+                )
+              })}
+              {day.results.length > 1 && (
+                <tr className="day-row">
+                  <td colSpan={primaryIndex}>
+                    DPO {day.day}: mean of {day.results.length} tests
+                  </td>
+                  <td title={`Range ${day.min.toFixed(digits)}–${day.max.toFixed(digits)}`}>
+                    {day.mean.toFixed(digits)} ± {day.spread.toFixed(digits)}
+                  </td>
+                  {changeIndex - primaryIndex > 1 && <td colSpan={changeIndex - primaryIndex - 1}></td>}
+                  <td className={changeClassName(day.rateOfChange)}>
+                    {formatChange(day.rateOfChange, digits)}
+                  </td>
+                  <td colSpan="2"></td>
+                </tr>
+              )}
+            </Fragment>
           ))}
-          {results.length > 1 && (
+          {days.length > 1 && (
             <tr className="total-row">
-              <td colSpan="2"><strong>Total Rate of Change</strong></td>
-              <td className={totalRateOfChange > 0 ? 'positive' : totalRateOfChange < 0 ? 'negative' : ''}>
-                <strong>{totalRateOfChange > 0 ? '+' : ''}{totalRateOfChange.toFixed(2)}</strong>
+              <td colSpan={primaryIndex}><strong>Total Change</strong></td>
+              <td className={changeClassName(totalChange)}>
+                <strong>{formatChange(totalChange, digits)}</strong>
+              </td>
+              {changeIndex - primaryIndex > 1 && <td colSpan={changeIndex - primaryIndex - 1}></td>}
+              <td className={changeClassName(averageChangePerDay)}>
+                <strong>{formatChange(averageChangePerDay, digits)}</strong>
               </td>
+              <td colSpan="2"></td>
             </tr>
           )}
         </tbody>
@@ -45,4 +232,3 @@ function ResultsTable({ results }) {
 }
 
 export default ResultsTable
-
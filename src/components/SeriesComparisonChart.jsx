@@ -0,0 +1,135 @@
+import { INTENSITY_METRICS } from '../utils/intensityMetrics'
+import { normalizeToFirstDay } from '../utils/series'
+import './SeriesComparisonChart.css'
+
+const CHART_WIDTH = 720
+const CHART_HEIGHT = 320
+const PADDING = { top: 20, right: 20, bottom: 40, left: 60 }
+const COLORS = ['#2196F3', '#e91e63', '#4CAF50', '#ff9800', '#9c27b0', '#00bcd4', '#795548']
+
+function describeValues(results) {
+  const first = results[0]
+  const label = first.valueKind === 'tcRatio'
+    ? 'T/C ratio'
+    : INTENSITY_METRICS[first.metric]?.shortLabel || 'intensity'
+  return first.valueCalibrated ? `${label}, white-balanced` : label
+}
+
+/**
+ * Overlay of several series, each relative to its own first day
+ * Brands differ in sensitivity and line colour, so only the shape of the
+ * curves is compared: every day mean is divided by the first day's mean.
+ */
+function SeriesComparisonChart({ series, activeSeriesId, onSelectSeries }) {
+  const lines = series
+    .filter(item => item.results.length > 0)
+    .map((item, index) => ({
+      ...item,
+      color: COLORS[index % COLORS.length],
+      points: normalizeToFirstDay(item.results),
+    }))
+  const plotted = lines.filter(line => line.points)
+  const skipped = lines.filter(line => !line.points)
+
+  if (lines.length < 2) return null
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom
+
+  const allPoints = plotted.flatMap(line => line.points)
+  const minX = Math.min(...allPoints.map(p => p.dpo))
+  const maxX = Math.max(...allPoints.map(p => p.dpo))
+  const xRange = maxX - minX || 1
+  const minY = Math.min(0, ...allPoints.map(p => p.value))
+  const maxY = Math.max(1, ...allPoints.map(p => p.value))
+  const yRange = maxY - minY || 1
+
+  const toX = (x) => PADDING.left + ((x - minX) / xRange) * plotWidth
+  const toY = (y) => PADDING.top + (1 - (y - minY) / yRange) * plotHeight
+
+  const xTicks = []
+  for (let dpo = Math.ceil(minX); dpo <= Math.floor(maxX); dpo++) xTicks.push(dpo)
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(f => minY + f * yRange)
+
+  return (
+    <div className="series-comparison-container">
+      <h3>Series Comparison</h3>
+      <p className="series-comparison-note">
+        Day means of each series divided by its first day's mean, so series on different scales can be compared.
+      </p>
+
+      {plotted.length > 0 && (
+        <svg
+          className="series-comparison-chart"
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          role="img"
+          aria-label="Series relative to their first day, by DPO"
+        >
+          {yTicks.map(tick => (
+            <g key={`y${tick}`}>
+              <line className="grid" x1={PADDING.left} y1={toY(tick)} x2={PADDING.left + plotWidth} y2={toY(tick)} />
+              <text className="tick" x={PADDING.left - 6} y={toY(tick) + 4} textAnchor="end">
+                {tick.toFixed(yRange < 5 ? 2 : 0)}×
+              </text>
+            </g>
+          ))}
+          {xTicks.map(tick => (
+            <text key={`x${tick}`} className="tick" x={toX(tick)} y={PADDING.top + plotHeight + 16} textAnchor="middle">
+              {tick}
+            </text>
+          ))}
+          <line className="baseline" x1={PADDING.left} y1={toY(1)} x2={PADDING.left + plotWidth} y2={toY(1)} />
+          <line
+            className="axis"
+            x1={PADDING.left} y1={PADDING.top + plotHeight}
+            x2={PADDING.left + plotWidth} y2={PADDING.top + plotHeight}
+          />
+          <line className="axis" x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + plotHeight} />
+          <text className="axis-label" x={PADDING.left + plotWidth / 2} y={CHART_HEIGHT - 4} textAnchor="middle">DPO</text>
+          <text
+            className="axis-label"
+            x={14}
+            y={PADDING.top + plotHeight / 2}
+            textAnchor="middle"
+            transform={`rotate(-90 14 ${PADDING.top + plotHeight / 2})`}
+          >
+            Relative to first day
+          </text>
+
+          {plotted.map(line => (
+            <g
+              key={line.id}
+              className={`series-line ${line.id === activeSeriesId ? 'active' : ''}`}
+              style={{ color: line.color }}
+            >
+              <polyline points={line.points.map(p => `${toX(p.dpo)},${toY(p.value)}`).join(' ')} />
+              {line.points.map(point => (
+                <circle key={point.dpo} cx={toX(point.dpo)} cy={toY(point.value)} r="4">
+                  <title>{line.name}, DPO {point.dpo.toFixed(2)}: {point.value.toFixed(2)}×</title>
+                </circle>
+              ))}
+            </g>
+          ))}
+        </svg>
+      )}
+
+      <ul className="series-legend">
+        {lines.map(line => (
+          <li key={line.id} className={line.id === activeSeriesId ? 'active' : ''}>
+            <button onClick={() => onSelectSeries(line.id)}>
+              <i className="swatch" style={{ background: line.color }} />
+              {line.name} <span className="legend-kind">({describeValues(line.results)})</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {skipped.length > 0 && (
+        <p className="series-comparison-note">
+          Not shown, because the first day's mean is not positive: {skipped.map(line => line.name).join(', ')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default SeriesComparisonChart
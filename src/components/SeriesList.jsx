@@ -0,0 +1,94 @@
+import { useState } from 'react'
+import './SeriesList.css'
+
+function SeriesList({ series, activeSeriesId, onSelect, onAdd, onRename, onDelete }) {
+  const [newName, setNewName] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [editingName, setEditingName] = useState('')
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    onAdd(newName.trim() || `Series ${series.length + 1}`)
+    setNewName('')
+  }
+
+  const handleRename = (e, id) => {
+    e.preventDefault()
+    const name = editingName.trim()
+    if (!name) return
+    onRename(id, name)
+    setEditingId(null)
+  }
+
+  const handleDelete = (item) => {
+    const images = item.imageCount > 0 ? ` and its ${item.imageCount} image${item.imageCount === 1 ? '' : 's'}` : ''
+    if (!window.confirm(`Delete series "${item.name}"${images}?`)) return
+    onDelete(item.id)
+  }
+
+  return (
+    <aside className="series-sidebar">
+      <h3>Series</h3>
+      <ul className="series-items">
+        {series.map(item => (
+          <li
+            key={item.id}
+            className={`series-item ${item.id === activeSeriesId ? 'active' : ''}`}
+          >
+            {editingId === item.id ? (
+              <form className="series-rename-form" onSubmit={(e) => handleRename(e, item.id)}>
+                <input
+                  type="text"
+                  value={editingName}
+                  onChange={(e) => setEditingName(e.target.value)}
+                  autoFocus
+                />
+                <button type="submit">Save</button>
+                <button type="button" onClick={() => setEditingId(null)}>Cancel</button>
+              </form>
+            ) : (
+              <button className="series-select" onClick={() => onSelect(item.id)}>
+                <span className="series-name">{item.name}</span>
+                <span className="series-meta">
+                  {item.imageCount} image{item.imageCount === 1 ? '' : 's'} · {item.resultCount} analysed
+                </span>
+              </button>
+            )}
+            {editingId !== item.id && (
+              <div className="series-actions">
+                <button
+                  onClick={() => {
+                    setEditingId(item.id)
+                    setEditingName(item.name)
+                  }}
+                >
+                  Rename
+                </button>
+                <button
+                  onClick={() => handleDelete(item)}
+                  disabled={series.length === 1}
+                  className="series-delete-button"
+                  title={series.length === 1 ? 'A session always has at least one series' : undefined}
+                >
+                  Delete
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <form className="series-add-form" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New series, e.g. brand"
+        />
+        <button type="submit">Add</button>
+      </form>
+    </aside>
+  )
+}
+
+export default SeriesList
@@ -0,0 +1,181 @@
+import { useRef, useState } from 'react'
+import { parseSessionBundle, createStoredImages, matchMissingImages } from '../utils/sessionImport'
+import { prepareImageFile } from '../utils/imageFiles'
+import './SessionImport.css'
+
+function SessionImport({ onImport }) {
+  const fileInputRef = useRef(null)
+  const relinkInputRef = useRef(null)
+  const [fileName, setFileName] = useState('')
+  const [errors, setErrors] = useState([])
+  const [bundle, setBundle] = useState(null)
+  const [missing, setMissing] = useState([])
+  const [linked, setLinked] = useState(new Map())
+  const [unmatched, setUnmatched] = useState([])
+  const [dragOver, setDragOver] = useState(false)
+
+  const reset = () => {
+    setFileName('')
+    setErrors([])
+    setBundle(null)
+    setMissing([])
+    setLinked(new Map())
+    setUnmatched([])
+  }
+
+  const finishImport = async (validBundle, linkedFiles) => {
+    // Re-linked originals get the same orientation handling as uploads
+    const uprightFiles = new Map()
+    for (const [id, file] of linkedFiles) {
+      try {
+        uprightFiles.set(id, (await prepareImageFile(file)).file)
+      } catch (err) {
+        setErrors([{ path: file.name, message: `Could not use this image: ${err.message}` }])
+        return
+      }
+    }
+
+    try {
+      const storedImages = createStoredImages(validBundle, uprightFiles)
+      // App may turn the import down, e.g. to keep unsaved painting; the dialog stays open then
+      const imported = onImport({
+        name: validBundle.name || null,
+        settings: validBundle.settings || {},
+        series: validBundle.series || null,
+        storedImages,
+        results: validBundle.results || [],
+      })
+      if (imported) reset()
+    } catch (err) {
+      setErrors([{ path: 'images', message: `Could not decode image data: ${err.message}` }])
+    }
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    reset()
+    setFileName(file.name)
+    const parsed = parseSessionBundle(await file.text())
+    if (parsed.errors.length > 0) {
+      setErrors(parsed.errors)
+      return
+    }
+    if (parsed.missing.length === 0) {
+      finishImport(parsed.bundle, new Map())
+      return
+    }
+    setBundle(parsed.bundle)
+    setMissing(parsed.missing)
+  }
+
+  const handleRelinkFiles = async (files) => {
+    const stillMissing = missing.filter(image => !linked.has(image.id))
+    const result = await matchMissingImages(stillMissing, Array.from(files))
+    setLinked(prev => new Map([...prev, ...result.linked]))
+    setUnmatched(result.unmatched.map(file => file.name))
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setDragOver(false)
+    handleRelinkFiles(e.dataTransfer.files)
+  }
+
+  const missingCount = missing.filter(image => !linked.has(image.id)).length
+
+  return (
+    <div className="session-import">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFileChange}
+        style={{ display: 'none' }}
+      />
+      <button onClick={() => fileInputRef.current?.click()} className="import-button">
+        Import Session
+      </button>
+
+      {(errors.length > 0 || bundle) && (
+        <div className="import-dialog-backdrop">
+          <div className="import-dialog" role="dialog" aria-modal="true" aria-labelledby="import-dialog-title">
+            <h3 id="import-dialog-title">Import {fileName}</h3>
+
+            {errors.length > 0 && (
+              <>
+                <p>This file can't be imported:</p>
+                <ul className="import-errors">
+                  {errors.map((error, index) => (
+                    <li key={index}><code>{error.path}</code> {error.message}</li>
+                  ))}
+                </ul>
+                <div className="import-dialog-actions">
+                  <button onClick={reset}>Close</button>
+                </div>
+              </>
+            )}
+
+            {errors.length === 0 && bundle && (
+              <>
+                <p>
+                  {missing.length} image{missing.length === 1 ? ' is' : 's are'} referenced by file name only.
+                  Drop the files here to re-link them.
+                </p>
+                <ul className="import-missing">
+                  {missing.map(image => (
+                    <li key={image.id} className={linked.has(image.id) ? 'linked' : ''}>
+                      {linked.has(image.id) ? '✓' : '⚠'} {image.name}
+                      {image.dpo !== null && image.dpo !== undefined && <span> (DPO {image.dpo})</span>}
+                    </li>
+                  ))}
+                </ul>
+
+                <div
+                  className={`import-drop-zone ${dragOver ? 'drag-over' : ''}`}
+                  onDragOver={(e) => {
+                    e.preventDefault()
+                    setDragOver(true)
+                  }}
+                  onDragLeave={() => setDragOver(false)}
+                  onDrop={handleDrop}
+                  onClick={() => relinkInputRef.current?.click()}
+                >
+                  Drop image files here or click to choose
+                  <input
+                    ref={relinkInputRef}
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    onChange={(e) => {
+                      handleRelinkFiles(e.target.files)
+                      e.target.value = ''
+                    }}
+                    style={{ display: 'none' }}
+                  />
+                </div>
+
+                {unmatched.length > 0 && (
+                  <p className="import-unmatched">Not part of this session: {unmatched.join(', ')}</p>
+                )}
+
+                <div className="import-dialog-actions">
+                  <button onClick={reset}>Cancel</button>
+                  <button className="import-confirm" onClick={() => finishImport(bundle, linked)}>
+                    {missingCount > 0
+                      ? `Import without ${missingCount} missing image${missingCount === 1 ? '' : 's'}`
+                      : 'Import'}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SessionImport
@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  listSessions,
+  renameSession,
+  duplicateSession,
+  deleteSession,
+} from '../utils/sessionStore'
+import './SessionList.css'
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString()
+}
+
+function SessionList({
+  currentSessionId,
+  currentSessionName,
+  canSave,
+  refreshKey,
+  onSave,
+  onOpen,
+  onNew,
+  onRenamed,
+  onDeleted,
+}) {
+  const [sessions, setSessions] = useState([])
+  const [error, setError] = useState(null)
+  const [newName, setNewName] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [editingName, setEditingName] = useState('')
+
+  const refresh = useCallback(async () => {
+    try {
+      setSessions(await listSessions())
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh, refreshKey])
+
+  // Report storage failures in the panel instead of as unhandled rejections
+  const run = async (action) => {
+    try {
+      await action()
+      await refresh()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    const name = newName.trim() || `Session ${new Date().toLocaleDateString()}`
+    run(async () => {
+      await onSave(name)
+      setNewName('')
+    })
+  }
+
+  const handleRename = (e, id) => {
+    e.preventDefault()
+    const name = editingName.trim()
+    if (!name) return
+    run(async () => {
+      await renameSession(id, name)
+      onRenamed(id, name)
+      setEditingId(null)
+    })
+  }
+
+  const handleDelete = (session) => {
+    if (!window.confirm(`Delete session "${session.name}"? This cannot be undone.`)) return
+    run(async () => {
+      await deleteSession(session.id)
+      onDeleted(session.id)
+    })
+  }
+
+  return (
+    <div className="session-list-container">
+      <div className="session-list-header">
+        <h3>Sessions</h3>
+        <div className="current-session">
+          {currentSessionId
+            ? <>Current: <strong>{currentSessionName}</strong> <span className="autosave-note">(saved automatically)</span></>
+            : 'Current work is not saved'}
+        </div>
+      </div>
+
+      <form className="session-save-form" onSubmit={handleSave}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Session name"
+        />
+        <button type="submit" disabled={!canSave} className="session-save-button">
+          {currentSessionId ? 'Save as New' : 'Save Session'}
+        </button>
+        {currentSessionId && (
+          <button type="button" onClick={onNew} className="session-new-button">
+            New Session
+          </button>
+        )}
+      </form>
+
+      {error && <div className="session-error">{error}</div>}
+
+      {sessions.length > 0 && (
+        <ul className="session-items">
+          {sessions.map(session => (
+            <li
+              key={session.id}
+              className={`session-item ${session.id === currentSessionId ? 'current' : ''}`}
+            >
+              {editingId === session.id ? (
+                <form className="session-rename-form" onSubmit={(e) => handleRename(e, session.id)}>
+                  <input
+                    type="text"
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    autoFocus
+                  />
+                  <button type="submit">Save</button>
+                  <button type="button" onClick={() => setEditingId(null)}>Cancel</button>
+                </form>
+              ) : (
+                <div className="session-details">
+                  <div className="session-name">{session.name}</div>
+                  <div className="session-meta">
+                    {session.imageCount} image{session.imageCount === 1 ? '' : 's'}
+                    {session.seriesCount > 1 && ` in ${session.seriesCount} series`} · updated {formatDate(session.updatedAt)}
+                  </div>
+                </div>
+              )}
+              <div className="session-actions">
+                <button
+                  onClick={() => run(() => onOpen(session.id))}
+                  disabled={session.id === currentSessionId}
+                >
+                  Open
+                </button>
+                <button
+                  onClick={() => {
+                    setEditingId(session.id)
+                    setEditingName(session.name)
+                  }}
+                >
+                  Rename
+                </button>
+                <button onClick={() => run(() => duplicateSession(session.id))}>
+                  Duplicate
+                </button>
+                <button onClick={() => handleDelete(session)} className="session-delete-button">
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SessionList
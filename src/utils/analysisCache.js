@@ -0,0 +1,100 @@
+import { calculateProgression } from './progression'
+import { getDPODay, timeOfDayOrder } from './dpo'
+import { ROI_TARGETS } from './roiTargets'
+
+/**
+ * Per-image cache of analysis results
+ *
+ * An analysis depends only on the image's pixels, its ROIs and rotation and
+ * the metric and detector, so it is stored with a key built from exactly
+ * those. The cache maps image id → { key, analysis } or { key, error }; an
+ * entry is current while its key matches the image's key, and only images
+ * without a current entry need processing again. DPO is not part of the key:
+ * it only orders the results, so changing it re-derives the progression
+ * without any image being analysed again.
+ */
+
+/**
+ * Build the cache key of an image's analysis
+ * @param {Object} image - Image of the series
+ * @param {Object} settings - { metric, detector }
+ * @returns {string}
+ */
+export function getAnalysisKey(image, { metric, detector }) {
+  return JSON.stringify([
+    // Older sessions may not have a content hash; the entry is per image anyway
+    image.hash ?? image.id,
+    image.transform,
+    ...Object.values(ROI_TARGETS).map(({ field }) => image[field]),
+    metric,
+    detector,
+  ])
+}
+
+/**
+ * Images that can be analysed (saved test-line ROI and a DPO) but have no
+ * current cache entry
+ * @param {Array<Object>} images - Images of the series
+ * @param {Map} analyses - The cache
+ * @param {Map} keys - Image id → current key (see getAnalysisKey)
+ */
+export function getStaleImages(images, analyses, keys) {
+  return images.filter(img =>
+    img.roi !== null && img.dpo !== null && analyses.get(img.id)?.key !== keys.get(img.id)
+  )
+}
+
+/**
+ * Derive the results of the series from the current cache entries
+ * Images without a current, successful analysis are left out.
+ *
+ * @param {Array<Object>} images - Images of the series
+ * @param {Map} analyses - The cache
+ * @param {Map} keys - Image id → current key
+ * @param {string} metric - Intensity metric the keys were built with
+ * @returns {Array<Object>} Results from calculateProgression, sorted by DPO; tests of
+ *   the same day are ordered by their time-of-day label first
+ */
+export function collectResults(images, analyses, keys, metric) {
+  const results = images
+    .filter(img => {
+      const entry = analyses.get(img.id)
+      return img.dpo !== null && entry?.analysis && entry.key === keys.get(img.id)
+    })
+    .sort((a, b) => getDPODay(a.dpo) - getDPODay(b.dpo) ||
+      timeOfDayOrder(a.timeOfDay) - timeOfDayOrder(b.timeOfDay) ||
+      a.dpo - b.dpo)
+    .map(img => ({
+      imageId: img.id,
+      dpo: img.dpo,
+      timeOfDay: img.timeOfDay ?? null,
+      ...analyses.get(img.id).analysis,
+      metric,
+      analysisKey: keys.get(img.id),
+    }))
+  return calculateProgression(results)
+}
+
+/**
+ * Rebuild the cache from the results saved with a session
+ * Results saved before the cache existed have no key; they are assumed to
+ * match the saved images and settings, as they did when they were saved.
+ *
+ * @param {Array<Object>} results - Saved results
+ * @param {Array<Object>} images - Images of the session
+ * @param {Object} settings - Saved { metric, detector }
+ * @returns {Map} The cache
+ */
+export function analysesFromResults(results = [], images, settings = {}) {
+  const imagesById = new Map(images.map(img => [img.id, img]))
+  const analyses = new Map()
+  results.forEach(result => {
+    const image = imagesById.get(result.imageId)
+    if (!image) return
+    const {
+      imageId, dpo, timeOfDay, metric, analysisKey, value, valueKind, valueCalibrated, rateOfChange, ...analysis
+    } = result
+    analyses.set(imageId, { key: analysisKey ?? getAnalysisKey(image, settings), analysis })
+  })
+  return analyses
+}
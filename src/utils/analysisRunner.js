@@ -0,0 +1,92 @@
+import { processImage } from './imageProcessing'
+
+/**
+ * Analyse a series of images without blocking the page
+ *
+ * The images are processed one at a time in a Web Worker, so painting and
+ * scrolling stay responsive while large ROIs are analysed. Browsers without
+ * OffscreenCanvas fall back to processing on the main thread, yielding
+ * between images.
+ *
+ * A failing image does not stop the run: its outcome carries the error and
+ * the remaining images are still analysed. Aborting the signal stops the run
+ * straight away, in the middle of an image if need be.
+ *
+ * @param {Array<Object>} jobs - [{ id, imageUrl, roi, options }], options as for processImage
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onProgress - Called with (done, total, outcome) as every image finishes
+ * @param {AbortSignal} callbacks.signal - Cancels the run
+ * @returns {Promise<Array<Object>>} [{ id, analysis } or { id, error }] in job order;
+ *   rejects with an AbortError when cancelled
+ */
+export function analyzeImages(jobs, { onProgress = () => {}, signal } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError())
+  return canUseWorker()
+    ? analyzeInWorker(jobs, onProgress, signal)
+    : analyzeOnMainThread(jobs, onProgress, signal)
+}
+
+function canUseWorker() {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined'
+}
+
+function analyzeInWorker(jobs, onProgress, signal) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' })
+    const outcomes = []
+
+    const finish = () => {
+      worker.terminate()
+      signal?.removeEventListener('abort', handleAbort)
+    }
+    const handleAbort = () => {
+      finish()
+      reject(abortError())
+    }
+    const postNext = () => {
+      if (outcomes.length === jobs.length) {
+        finish()
+        resolve(outcomes)
+        return
+      }
+      worker.postMessage(jobs[outcomes.length])
+    }
+
+    worker.onmessage = ({ data }) => {
+      outcomes.push(data)
+      onProgress(outcomes.length, jobs.length, data)
+      postNext()
+    }
+    // Only raised when the worker itself breaks; image errors come back as messages
+    worker.onerror = (event) => {
+      event.preventDefault()
+      finish()
+      reject(new Error(event.message || 'The analysis worker failed to start'))
+    }
+    signal?.addEventListener('abort', handleAbort)
+    postNext()
+  })
+}
+
+async function analyzeOnMainThread(jobs, onProgress, signal) {
+  const outcomes = []
+  for (const { id, imageUrl, roi, options } of jobs) {
+    // Let the page repaint and handle a cancel click between images
+    await new Promise(resolve => setTimeout(resolve, 0))
+    if (signal?.aborted) throw abortError()
+
+    try {
+      outcomes.push({ id, analysis: await processImage(imageUrl, roi, options) })
+    } catch (err) {
+      outcomes.push({ id, error: err.message || String(err) })
+    }
+    // Nothing is reported for an image that finished after the run was cancelled
+    if (signal?.aborted) throw abortError()
+    onProgress(outcomes.length, jobs.length, outcomes[outcomes.length - 1])
+  }
+  return outcomes
+}
+
+function abortError() {
+  return new DOMException('The analysis was cancelled', 'AbortError')
+}
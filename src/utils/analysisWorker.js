@@ -0,0 +1,17 @@
+import { processImage } from './imageProcessing'
+
+/**
+ * Web Worker running processImage off the main thread (see analysisRunner)
+ *
+ * Each message is one job { id, imageUrl, roi, options } and is answered with
+ * { id, analysis } or, when the image cannot be analysed, { id, error }.
+ */
+self.onmessage = async ({ data }) => {
+  const { id, imageUrl, roi, options } = data
+  try {
+    const analysis = await processImage(imageUrl, roi, options)
+    self.postMessage({ id, analysis })
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) })
+  }
+}
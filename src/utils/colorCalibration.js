@@ -0,0 +1,58 @@
+/**
+ * White balance and exposure normalisation from a white reference patch
+ *
+ * The reference (blank strip paper or a grey card) should be neutral, so any
+ * colour cast or brightness difference measured on it comes from the lighting
+ * and the camera. Each channel gets the gain that maps the reference's average
+ * colour to white; applying the same gains to the line colour makes photos
+ * taken under different conditions comparable.
+ */
+
+// Level the reference is mapped to on every channel
+export const CALIBRATED_WHITE = 255
+
+// Channels at or above this level are likely clipped by over-exposure
+const CLIPPED_LEVEL = 250
+
+// References darker than this on any channel give unreliable gains
+const MIN_REFERENCE_LEVEL = 10
+
+/**
+ * Work out the per-channel gains from the average colour of the reference
+ * @param {Object} referenceRgb - Average RGB {r, g, b} of the white reference ROI
+ * @returns {Object|null} { rgb, gains: {r, g, b}, clipped }, or null when the
+ *   reference is too dark to calibrate with
+ */
+export function getWhiteBalance(referenceRgb) {
+  const { r, g, b } = referenceRgb
+  if (Math.min(r, g, b) < MIN_REFERENCE_LEVEL) return null
+
+  return {
+    rgb: referenceRgb,
+    gains: {
+      r: CALIBRATED_WHITE / r,
+      g: CALIBRATED_WHITE / g,
+      b: CALIBRATED_WHITE / b,
+    },
+    // A clipped reference understates the exposure, so the gains are too small
+    clipped: Math.max(r, g, b) >= CLIPPED_LEVEL,
+  }
+}
+
+/**
+ * Apply white-balance gains to an RGB value
+ * Gains are multiplicative, so applying them to an average colour gives the
+ * same result as averaging the calibrated pixels. Values are not clamped and
+ * can exceed 255 for pixels brighter than the reference.
+ *
+ * @param {Object} rgb - RGB {r, g, b} in the 0-255 range
+ * @param {Object} calibration - Result of getWhiteBalance
+ * @returns {Object} Calibrated RGB {r, g, b}
+ */
+export function applyWhiteBalance(rgb, { gains }) {
+  return {
+    r: rgb.r * gains.r,
+    g: rgb.g * gains.g,
+    b: rgb.b * gains.b,
+  }
+}
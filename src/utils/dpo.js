@@ -0,0 +1,82 @@
+/**
+ * Days past ovulation (DPO) from photo capture times
+ *
+ * An image's DPO is either typed in by hand (dpoSource 'manual') or derived
+ * from its EXIF capture time and the session's ovulation date (dpoSource
+ * 'exif'). Manual values always win over derived ones.
+ */
+
+const OVULATION_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/
+
+/**
+ * Check an ovulation date in the "YYYY-MM-DD" form used by date inputs
+ */
+export function isValidOvulationDate(value) {
+  return typeof value === 'string' && OVULATION_DATE_PATTERN.test(value)
+}
+
+/**
+ * Compute fractional DPO for a capture time
+ * Whole days are counted in calendar days from the ovulation date and the
+ * local time of day adds the fraction, so a photo taken at 18:00 on the
+ * tenth day after ovulation is 10.75 DPO (unaffected by DST changes).
+ *
+ * @param {number} captureTime - Capture timestamp in milliseconds
+ * @param {string} ovulationDate - Local date "YYYY-MM-DD"
+ * @returns {number|null} DPO rounded to 2 decimals, or null if unknown or before ovulation
+ */
+export function computeDPO(captureTime, ovulationDate) {
+  if (!Number.isFinite(captureTime) || !isValidOvulationDate(ovulationDate)) return null
+
+  const [, year, month, day] = OVULATION_DATE_PATTERN.exec(ovulationDate).map(Number)
+  const captured = new Date(captureTime)
+  const days = Math.round(
+    (Date.UTC(captured.getFullYear(), captured.getMonth(), captured.getDate()) - Date.UTC(year, month - 1, day)) / 86400000
+  )
+  const fraction = (captured.getHours() * 3600 + captured.getMinutes() * 60 + captured.getSeconds()) / 86400
+  const dpo = days + fraction
+  return dpo < 0 ? null : Math.round(dpo * 100) / 100
+}
+
+/**
+ * Derive an image's DPO from its capture time unless it was entered manually
+ * Returns the same object when nothing changes.
+ *
+ * @param {Object} image - In-memory image with captureTime, dpo and dpoSource
+ * @param {string} ovulationDate - Local date "YYYY-MM-DD", or '' when not set
+ */
+export function applyAutomaticDPO(image, ovulationDate) {
+  if (image.dpoSource === 'manual') return image
+
+  const dpo = computeDPO(image.captureTime, ovulationDate)
+  if (dpo === null) {
+    // Drop a derived value that no longer has a basis
+    return image.dpoSource === 'exif' ? { ...image, dpo: null, dpoSource: null } : image
+  }
+  if (image.dpo === dpo && image.dpoSource === 'exif') return image
+  return { ...image, dpo, dpoSource: 'exif' }
+}
+
+/**
+ * Optional labels for tests taken on the same day (image.timeOfDay)
+ * `order` sorts the tests of a day; unlabelled tests go between the two.
+ */
+export const TIME_OF_DAY = {
+  morning: { label: 'Morning', shortLabel: 'AM', order: 0 },
+  evening: { label: 'Evening', shortLabel: 'PM', order: 2 },
+}
+
+/**
+ * Sort position of an image's or result's time-of-day label within its day
+ */
+export function timeOfDayOrder(timeOfDay) {
+  return TIME_OF_DAY[timeOfDay]?.order ?? 1
+}
+
+/**
+ * Day a DPO falls on; fractional DPOs from capture times share a day with
+ * the other tests taken on the same calendar day
+ */
+export function getDPODay(dpo) {
+  return Math.floor(dpo)
+}
@@ -0,0 +1,141 @@
+import { countMaskPixels } from './roiMask'
+import { createTransformedCanvas } from './imageTransform'
+import { groupByDay } from './progression'
+
+/**
+ * Capture time of an image as a timestamp
+ * Falls back to the file's modification time when no capture time is known.
+ */
+export function captureTimeOf(image) {
+  return image.captureTime ?? image.file?.lastModified ?? null
+}
+
+/**
+ * Build a CSV export with one row per image
+ * Analysed images come first in DPO order, followed by images without results.
+ * Every row also carries the mean and spread of all the tests of its DPO day.
+ *
+ * @param {Array<Object>} images - Images of the series
+ * @param {Array<Object>} results - Results from calculateProgression
+ * @returns {string} CSV text
+ */
+export function buildResultsCSV(images, results) {
+  const header = [
+    'file_name', 'dpo', 'time_of_day', 'capture_time',
+    'roi_x', 'roi_y', 'roi_width', 'roi_height', 'roi_pixels',
+    'r', 'g', 'b',
+    'metric', 'intensity', 'tc_ratio',
+    'calibrated_r', 'calibrated_g', 'calibrated_b', 'calibrated_intensity', 'calibrated_tc_ratio',
+    'progression_metric', 'progression_calibrated', 'progression_value',
+    'day_mean', 'day_sd', 'day_tests', 'change_per_day',
+  ]
+
+  const resultsByImage = new Map(results.map(result => [result.imageId, result]))
+  const daysByImage = new Map()
+  groupByDay(results).forEach(day => day.results.forEach(result => daysByImage.set(result.imageId, day)))
+  const analysed = results
+    .map(result => images.find(img => img.id === result.imageId))
+    .filter(Boolean)
+  const remaining = images.filter(img => !resultsByImage.has(img.id))
+
+  const rows = [...analysed, ...remaining].map(image => {
+    const result = resultsByImage.get(image.id)
+    const calibrated = result?.calibrated
+    const day = daysByImage.get(image.id)
+    const roi = image.roi
+    const captureTime = captureTimeOf(image)
+    return [
+      image.file.name,
+      image.dpo,
+      image.timeOfDay,
+      captureTime !== null ? new Date(captureTime).toISOString() : '',
+      roi?.x, roi?.y, roi?.width, roi?.height,
+      roi ? (roi.mask ? countMaskPixels(roi.mask) : roi.width * roi.height) : '',
+      formatNumber(result?.rgb.r), formatNumber(result?.rgb.g), formatNumber(result?.rgb.b),
+      result?.metric,
+      formatNumber(result?.intensity),
+      formatNumber(result?.tcRatio),
+      formatNumber(calibrated?.rgb.r), formatNumber(calibrated?.rgb.g), formatNumber(calibrated?.rgb.b),
+      formatNumber(calibrated?.intensity),
+      formatNumber(calibrated?.tcRatio),
+      result?.valueKind,
+      result?.valueCalibrated,
+      formatNumber(result?.value),
+      formatNumber(day?.mean),
+      formatNumber(day?.spread),
+      day?.results.length,
+      formatNumber(result?.rateOfChange),
+    ]
+  })
+
+  return [header, ...rows]
+    .map(row => row.map(escapeCSV).join(','))
+    .join('\r\n')
+}
+
+/**
+ * Offer text or a Blob as a file download
+ */
+export function downloadFile(content, fileName, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Crop an image to its ROI bounding box (plus a margin) for report thumbnails
+ * @returns {Promise<string|null>} JPEG data URL, or null when the image has no ROI
+ */
+export function cropImageToROI(image, { margin = 0.25, maxSize = 240 } = {}) {
+  const roi = image.roi
+  if (!roi) return Promise.resolve(null)
+
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => {
+      // ROIs are in the coordinates of the rotated image
+      const source = createTransformedCanvas(img, image.transform)
+      const padX = roi.width * margin
+      const padY = roi.height * margin
+      const x = Math.max(0, roi.x - padX)
+      const y = Math.max(0, roi.y - padY)
+      const width = Math.min(source.width, roi.x + roi.width + padX) - x
+      const height = Math.min(source.height, roi.y + roi.height + padY) - y
+      const scale = Math.min(1, maxSize / Math.max(width, height))
+
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.max(1, Math.round(width * scale))
+      canvas.height = Math.max(1, Math.round(height * scale))
+      canvas.getContext('2d').drawImage(source, x, y, width, height, 0, 0, canvas.width, canvas.height)
+      resolve(canvas.toDataURL('image/jpeg', 0.85))
+    }
+    img.onerror = () => reject(new Error(`Failed to load ${image.file.name}`))
+    img.src = image.url
+  })
+}
+
+/**
+ * Turn a session name into a safe file name stem
+ */
+export function fileNameStem(name) {
+  const stem = (name || 'hcg-analysis').trim().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '')
+  return stem || 'hcg-analysis'
+}
+
+function formatNumber(value) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return ''
+  return Number(value.toFixed(4))
+}
+
+function escapeCSV(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
@@ -0,0 +1,35 @@
+/**
+ * Content hash of a file, used to recognise images that were already added
+ * Uses SHA-256 where Web Crypto is available (secure contexts) and a 53-bit
+ * non-cryptographic hash otherwise, which is plenty for duplicate detection.
+ *
+ * @param {Blob} file - File or Blob to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(file) {
+  const buffer = await file.arrayBuffer()
+
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer)
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+  }
+
+  return `cyrb53-${cyrb53(new Uint8Array(buffer)).toString(16)}`
+}
+
+/**
+ * cyrb53 hash over raw bytes
+ */
+function cyrb53(bytes) {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < bytes.length; i++) {
+    h1 = Math.imul(h1 ^ bytes[i], 2654435761)
+    h2 = Math.imul(h2 ^ bytes[i], 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0)
+}
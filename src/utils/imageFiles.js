@@ -0,0 +1,70 @@
+import { parseImageMetadata, resetOrientation } from './imageMetadata'
+
+// Canvas transforms for EXIF orientations 2-8, given the stored width and height
+const ORIENTATION_TRANSFORMS = {
+  2: (w, h) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: (w, h) => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w, h) => [0, -1, 1, 0, 0, w],
+}
+
+/**
+ * Check an uploaded file and normalise its orientation
+ * Rotated or mirrored photos are redrawn upright and re-encoded as lossless
+ * PNG, so the display canvas and the analysis both read the same upright
+ * bitmap whatever the browser does with EXIF orientation.
+ * HEIC/HEIF/AVIF files are left alone: decoders rotate them by the
+ * container's irot/imir boxes, and their EXIF orientation is only
+ * informational, so redrawing them would rotate them twice.
+ *
+ * @param {File} file - File picked or dropped by the user
+ * @returns {Promise<Object>} { file (upright, possibly the original), metadata: { captureTime, orientation, container } }
+ * @throws {Error} With a user-facing reason when the file is empty, not an image or cannot be decoded
+ */
+export async function prepareImageFile(file) {
+  if (file.size === 0) throw new Error('the file is empty')
+  if (file.type && !file.type.startsWith('image/')) throw new Error(`${file.type} is not an image type`)
+
+  const buffer = await file.arrayBuffer()
+  const metadata = parseImageMetadata(buffer)
+  const transform = metadata.container === 'isobmff' ? null : ORIENTATION_TRANSFORMS[metadata.orientation]
+
+  const bitmap = await decodeImage(transform ? new Blob([resetOrientation(buffer)], { type: file.type }) : file)
+  if (!transform) {
+    bitmap.close()
+    return { file, metadata }
+  }
+
+  try {
+    const { width, height } = bitmap
+    const swap = metadata.orientation >= 5
+    const canvas = document.createElement('canvas')
+    canvas.width = swap ? height : width
+    canvas.height = swap ? width : height
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(...transform(width, height))
+    ctx.drawImage(bitmap, 0, 0)
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+    if (!blob) throw new Error('the image is too large to rotate')
+    const upright = new File([blob], `${file.name.replace(/\.[^.]+$/, '')}.png`, {
+      type: 'image/png',
+      lastModified: file.lastModified,
+    })
+    return { file: upright, metadata }
+  } finally {
+    bitmap.close()
+  }
+}
+
+async function decodeImage(blob) {
+  try {
+    return await createImageBitmap(blob)
+  } catch (err) {
+    console.warn('Could not decode image:', err)
+    throw new Error('the browser cannot decode this image format')
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * Minimal in-browser image metadata reader
+ *
+ * Extracts the EXIF capture time and orientation from JPEG (APP1), PNG (eXIf)
+ * and HEIC/HEIF/AVIF (ISOBMFF "Exif" item) files without any dependencies.
+ * Only the handful of TIFF tags the tool needs are decoded.
+ */
+
+const TAG_ORIENTATION = 0x0112
+const TAG_DATE_TIME = 0x0132
+const TAG_EXIF_IFD = 0x8769
+const TAG_DATE_TIME_ORIGINAL = 0x9003
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011
+
+/**
+ * Read capture time and orientation from the bytes of an image file
+ * Never throws for malformed metadata; missing values are null.
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} { captureTime: timestamp|null, orientation: 1-8|null,
+ *   container: 'jpeg', 'png', 'isobmff' (HEIC/HEIF/AVIF) or null }
+ */
+export function parseImageMetadata(buffer) {
+  const { captureTime, orientation } = parseMetadata(buffer)
+  return { captureTime, orientation, container: detectContainer(buffer) }
+}
+
+/**
+ * Copy of the file bytes with the EXIF orientation reset to 1 (normal)
+ * Browsers disagree on whether decoding applies EXIF orientation; with the
+ * tag neutralised every browser decodes the stored pixels as they are.
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {ArrayBuffer} The same buffer when there is no orientation tag, otherwise a modified copy
+ */
+export function resetOrientation(buffer) {
+  const { orientationField } = parseMetadata(buffer)
+  if (!orientationField) return buffer
+
+  const copy = buffer.slice(0)
+  new DataView(copy).setUint16(orientationField.offset, 1, orientationField.little)
+  return copy
+}
+
+function parseMetadata(buffer) {
+  const empty = { captureTime: null, orientation: null, orientationField: null }
+  try {
+    const view = new DataView(buffer)
+    const tiffOffset = findTiffHeader(view)
+    if (tiffOffset === null) return empty
+    return parseTiff(view, tiffOffset)
+  } catch (err) {
+    console.warn('Could not read image metadata:', err)
+    return empty
+  }
+}
+
+function detectContainer(buffer) {
+  const view = new DataView(buffer)
+  if (view.byteLength < 12) return null
+
+  // JPEG: FF D8
+  if (view.getUint16(0) === 0xffd8) return 'jpeg'
+
+  // PNG: 89 50 4E 47
+  if (view.getUint32(0) === 0x89504e47) return 'png'
+
+  // ISOBMFF (HEIC/HEIF/AVIF): "ftyp" box first
+  if (readFourCC(view, 4) === 'ftyp') return 'isobmff'
+
+  return null
+}
+
+/**
+ * Locate the start of the EXIF TIFF structure for the supported containers
+ * @returns {number|null} Byte offset of the TIFF header
+ */
+function findTiffHeader(view) {
+  switch (detectContainer(view.buffer)) {
+    case 'jpeg': return findJpegExif(view)
+    case 'png': return findPngExif(view)
+    case 'isobmff': return findIsobmffExif(view)
+    default: return null
+  }
+}
+
+function findJpegExif(view) {
+  let offset = 2
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) return null
+    const marker = view.getUint8(offset + 1)
+    // Start of scan: no metadata segments follow
+    if (marker === 0xda) return null
+    const length = view.getUint16(offset + 2)
+    // APP1 segment starting with "Exif\0\0"
+    if (marker === 0xe1 && readAscii(view, offset + 4, 4) === 'Exif' && view.getUint16(offset + 8) === 0) {
+      return offset + 10
+    }
+    offset += 2 + length
+  }
+  return null
+}
+
+function findPngExif(view) {
+  let offset = 8
+  while (offset + 12 <= view.byteLength) {
+    const length = view.getUint32(offset)
+    const type = readFourCC(view, offset + 4)
+    if (type === 'eXIf') return offset + 8
+    if (type === 'IDAT' || type === 'IEND') return null
+    offset += 12 + length
+  }
+  return null
+}
+
+/**
+ * HEIF stores EXIF as an item: find its id in "iinf", its location in "iloc"
+ * and skip the 4-byte TIFF header offset that prefixes the item data
+ */
+function findIsobmffExif(view) {
+  const meta = findBox(view, 0, view.byteLength, 'meta')
+  if (!meta) return null
+  // "meta" is a full box: skip version and flags
+  const childrenStart = meta.start + 4
+
+  const iinf = findBox(view, childrenStart, meta.end, 'iinf')
+  const iloc = findBox(view, childrenStart, meta.end, 'iloc')
+  if (!iinf || !iloc) return null
+
+  const exifItemId = findExifItemId(view, iinf)
+  if (exifItemId === null) return null
+
+  const itemOffset = findItemOffset(view, iloc, exifItemId)
+  if (itemOffset === null || itemOffset + 4 > view.byteLength) return null
+
+  return itemOffset + 4 + view.getUint32(itemOffset)
+}
+
+function findExifItemId(view, iinf) {
+  const version = view.getUint8(iinf.start)
+  let offset = iinf.start + 4
+  offset += version === 0 ? 2 : 4 // entry_count
+
+  while (offset + 8 <= iinf.end) {
+    const box = readBoxHeader(view, offset, iinf.end)
+    if (!box) return null
+    if (box.type === 'infe') {
+      const infeVersion = view.getUint8(box.start)
+      if (infeVersion >= 2) {
+        let cursor = box.start + 4
+        const itemId = infeVersion === 2 ? view.getUint16(cursor) : view.getUint32(cursor)
+        cursor += infeVersion === 2 ? 2 : 4
+        cursor += 2 // item_protection_index
+        if (readFourCC(view, cursor) === 'Exif') return itemId
+      }
+    }
+    offset = box.end
+  }
+  return null
+}
+
+function findItemOffset(view, iloc, itemId) {
+  const version = view.getUint8(iloc.start)
+  let offset = iloc.start + 4
+  const sizes = view.getUint16(offset)
+  offset += 2
+  const offsetSize = sizes >> 12
+  const lengthSize = (sizes >> 8) & 0xf
+  const baseOffsetSize = (sizes >> 4) & 0xf
+  const indexSize = version === 1 || version === 2 ? sizes & 0xf : 0
+
+  const itemCount = version < 2 ? view.getUint16(offset) : view.getUint32(offset)
+  offset += version < 2 ? 2 : 4
+
+  for (let i = 0; i < itemCount; i++) {
+    const id = version < 2 ? view.getUint16(offset) : view.getUint32(offset)
+    offset += version < 2 ? 2 : 4
+    let constructionMethod = 0
+    if (version === 1 || version === 2) {
+      constructionMethod = view.getUint16(offset) & 0xf
+      offset += 2
+    }
+    offset += 2 // data_reference_index
+    const baseOffset = readUint(view, offset, baseOffsetSize)
+    offset += baseOffsetSize
+    const extentCount = view.getUint16(offset)
+    offset += 2
+
+    let firstExtentOffset = null
+    for (let e = 0; e < extentCount; e++) {
+      offset += indexSize
+      const extentOffset = readUint(view, offset, offsetSize)
+      offset += offsetSize + lengthSize
+      if (e === 0) firstExtentOffset = extentOffset
+    }
+
+    if (id === itemId) {
+      // Only data stored directly in the file is supported
+      return constructionMethod === 0 && firstExtentOffset !== null
+        ? baseOffset + firstExtentOffset
+        : null
+    }
+  }
+  return null
+}
+
+function findBox(view, start, end, type) {
+  let offset = start
+  while (offset + 8 <= end) {
+    const box = readBoxHeader(view, offset, end)
+    if (!box) return null
+    if (box.type === type) return box
+    offset = box.end
+  }
+  return null
+}
+
+/**
+ * @returns {Object|null} { type, start (payload), end } of the box at offset
+ */
+function readBoxHeader(view, offset, limit) {
+  let size = view.getUint32(offset)
+  const type = readFourCC(view, offset + 4)
+  let headerSize = 8
+  if (size === 1) {
+    size = Number(view.getBigUint64(offset + 8))
+    headerSize = 16
+  } else if (size === 0) {
+    size = limit - offset
+  }
+  if (size < headerSize || offset + size > limit) return null
+  return { type, start: offset + headerSize, end: offset + size }
+}
+
+/**
+ * Read the tags of interest from a TIFF structure
+ */
+function parseTiff(view, tiffOffset) {
+  const empty = { captureTime: null, orientation: null, orientationField: null }
+  const byteOrder = view.getUint16(tiffOffset)
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return empty
+  const little = byteOrder === 0x4949
+  if (view.getUint16(tiffOffset + 2, little) !== 42) return empty
+
+  const offsets = {}
+  const ifd0 = readIfd(view, tiffOffset, tiffOffset + view.getUint32(tiffOffset + 4, little), little, offsets)
+  const exifIfd = ifd0[TAG_EXIF_IFD] !== undefined
+    ? readIfd(view, tiffOffset, tiffOffset + ifd0[TAG_EXIF_IFD], little)
+    : {}
+
+  const dateText = exifIfd[TAG_DATE_TIME_ORIGINAL] || ifd0[TAG_DATE_TIME] || null
+  const orientation = ifd0[TAG_ORIENTATION]
+
+  return {
+    captureTime: dateText ? parseExifDate(dateText, exifIfd[TAG_OFFSET_TIME_ORIGINAL]) : null,
+    orientation: orientation >= 1 && orientation <= 8 ? orientation : null,
+    orientationField: offsets[TAG_ORIENTATION] !== undefined
+      ? { offset: offsets[TAG_ORIENTATION], little }
+      : null,
+  }
+}
+
+/**
+ * Read SHORT, LONG and ASCII entries of one IFD into { tag: value }
+ * The byte offsets of inline SHORT values are recorded in `offsets`.
+ */
+function readIfd(view, tiffOffset, ifdOffset, little, offsets = {}) {
+  const values = {}
+  if (ifdOffset + 2 > view.byteLength) return values
+
+  const count = view.getUint16(ifdOffset, little)
+  for (let i = 0; i < count; i++) {
+    const entry = ifdOffset + 2 + i * 12
+    if (entry + 12 > view.byteLength) break
+    const tag = view.getUint16(entry, little)
+    const type = view.getUint16(entry + 2, little)
+    const length = view.getUint32(entry + 4, little)
+
+    if (type === 3) {
+      values[tag] = view.getUint16(entry + 8, little)
+      offsets[tag] = entry + 8
+    } else if (type === 4) {
+      values[tag] = view.getUint32(entry + 8, little)
+    } else if (type === 2) {
+      // ASCII values longer than 4 bytes are stored at an offset
+      const start = length > 4 ? tiffOffset + view.getUint32(entry + 8, little) : entry + 8
+      if (start + length <= view.byteLength) {
+        values[tag] = readAscii(view, start, length).replace(/\0+$/, '').trim()
+      }
+    }
+  }
+  return values
+}
+
+/**
+ * Parse an EXIF "YYYY:MM:DD HH:MM:SS" date
+ * With an OffsetTimeOriginal ("+02:00") the exact instant is known; without
+ * one the camera's local time is assumed to be the browser's local time.
+ * @returns {number|null} Timestamp in milliseconds
+ */
+export function parseExifDate(text, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text)
+  if (!match) return null
+  const [, year, month, day, hour, minute, second] = match.map(Number)
+  if (year === 0) return null
+
+  const offsetMatch = offset && /^([+-])(\d{2}):(\d{2})$/.exec(offset)
+  if (offsetMatch) {
+    const sign = offsetMatch[1] === '-' ? -1 : 1
+    const offsetMinutes = sign * (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3]))
+    return Date.UTC(year, month - 1, day, hour, minute, second) - offsetMinutes * 60000
+  }
+
+  const time = new Date(year, month - 1, day, hour, minute, second).getTime()
+  return Number.isNaN(time) ? null : time
+}
+
+function readUint(view, offset, size) {
+  if (size === 0) return 0
+  if (size === 4) return view.getUint32(offset)
+  if (size === 8) return Number(view.getBigUint64(offset))
+  throw new Error(`Unsupported field size ${size}`)
+}
+
+function readFourCC(view, offset) {
+  return readAscii(view, offset, 4)
+}
+
+function readAscii(view, offset, length) {
+  let text = ''
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i))
+  }
+  return text
+}
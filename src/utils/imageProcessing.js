@@ -1,13 +1,137 @@
+import { computeIntensity, DEFAULT_METRIC } from './intensityMetrics'
+import { decodeMask, encodeMask } from './roiMask'
+import { createGrayRegion, runLineDetector, DEFAULT_DETECTOR } from './lineDetectors'
+import { buildIntensityProfile } from './intensityProfile'
+import { createTransformedCanvas } from './imageTransform'
+import { applyWhiteBalance, getWhiteBalance } from './colorCalibration'
+
 /**
  * Process an image to detect the test line within ROI and calculate average RGB
  * IMPORTANT: This function uses ONLY the original image data.
  * The overlay paint is purely visual and does NOT affect the analysis.
  * 
+ * When a control-line ROI is given, the test-line intensity is also reported
+ * relative to the control line (T/C ratio), which cancels out differences in
+ * lighting and exposure between photos. An optional background ROI is
+ * subtracted from both lines first.
+ * 
+ * An optional white reference ROI (blank strip paper or a grey card) is used
+ * to white-balance and exposure-normalise the measured colours (see
+ * colorCalibration). The calibrated values are returned alongside the raw ones.
+ * 
  * @param {string} imageUrl - URL of the original image (NOT the canvas with overlay)
  * @param {Object} roi - Region of Interest {x, y, width, height} in original image coordinates
- * @returns {Promise<Object>} Average RGB values {r, g, b}
+ *   (after the image's rotation, see imageTransform)
+ * @param {Object} options - Analysis options
+ * @param {string} options.metric - Key of INTENSITY_METRICS used for the scalar intensity
+ * @param {Object} options.controlRoi - Optional control-line ROI
+ * @param {Object} options.backgroundRoi - Optional blank-background ROI
+ * @param {Object} options.whiteRoi - Optional white reference ROI
+ * @param {string} options.detector - Key of LINE_DETECTORS used to find the line pixels
+ * @param {Object} options.transform - The image's rotation {rotation}, or null
+ * @returns {Promise<Object>} Average RGB values {r, g, b}, the scalar intensity, the
+ *   detector diagnostics and, when a control ROI is given, the background-corrected T/C ratio.
+ *   `calibrated` holds the same values after white balancing, or null without a usable reference.
  */
-export async function processImage(imageUrl, roi) {
+export async function processImage(imageUrl, roi, {
+  metric = DEFAULT_METRIC,
+  controlRoi = null,
+  backgroundRoi = null,
+  whiteRoi = null,
+  detector = DEFAULT_DETECTOR,
+  transform = null,
+} = {}) {
+  const ctx = await loadImageContext(imageUrl, transform)
+  
+  const test = measureLine(ctx, roi, metric, detector)
+  const control = controlRoi ? measureLine(ctx, controlRoi, metric, detector) : null
+  const background = backgroundRoi ? measureBackground(ctx, backgroundRoi, metric) : null
+  const white = whiteRoi ? measureBackground(ctx, whiteRoi, metric) : null
+  
+  const result = {
+    rgb: test.rgb,
+    intensity: test.intensity,
+    diagnostics: test.diagnostics,
+    detection: {
+      test: test.detection,
+      control: control ? control.detection : null,
+    },
+    control,
+    background,
+    ...computeSignals(test, control, background),
+  }
+  
+  // The detected pixels stay the same; only their colours are corrected
+  const calibration = white ? getWhiteBalance(white.rgb) : null
+  if (!calibration) return { ...result, calibrated: null }
+  
+  const calibrate = (measurement) => {
+    if (!measurement) return null
+    const rgb = applyWhiteBalance(measurement.rgb, calibration)
+    return { rgb, intensity: computeIntensity(rgb, metric) }
+  }
+  const calibratedTest = calibrate(test)
+  const calibratedControl = calibrate(control)
+  const calibratedBackground = calibrate(background)
+  
+  return {
+    ...result,
+    calibrated: {
+      rgb: calibratedTest.rgb,
+      intensity: calibratedTest.intensity,
+      control: calibratedControl,
+      background: calibratedBackground,
+      ...computeSignals(calibratedTest, calibratedControl, calibratedBackground),
+      reference: calibration,
+    },
+  }
+}
+
+/**
+ * Background-corrected line signals and the T/C ratio
+ * Without a background the raw intensities are used as-is.
+ */
+function computeSignals(test, control, background) {
+  const backgroundIntensity = background ? background.intensity : 0
+  const testSignal = test.intensity - backgroundIntensity
+  const controlSignal = control ? control.intensity - backgroundIntensity : null
+  const tcRatio = controlSignal !== null && controlSignal > 0
+    ? testSignal / controlSignal
+    : null
+  
+  return { testSignal, controlSignal, tcRatio }
+}
+
+/**
+ * Compute the intensity profile across the test-line ROI
+ * Uses the same original-image pixels and painted mask as processImage.
+ * 
+ * @param {string} imageUrl - URL of the original image
+ * @param {Object} roi - Region of Interest in original image coordinates
+ * @param {Object} options - Profile options
+ * @param {string} options.metric - Key of INTENSITY_METRICS
+ * @param {Object} options.transform - The image's rotation {rotation}, or null
+ * @returns {Promise<Object>} Profile, see buildIntensityProfile
+ */
+export async function computeIntensityProfile(imageUrl, roi, { metric = DEFAULT_METRIC, transform = null } = {}) {
+  const ctx = await loadImageContext(imageUrl, transform)
+  const imageData = getROIImageData(ctx, roi)
+  return buildIntensityProfile(imageData, getROIMask(roi, imageData), metric)
+}
+
+/**
+ * Load an image from its original URL and draw it on a fresh canvas
+ * IMPORTANT: Only the original image is drawn - no overlay, no paint
+ * The image is rotated exactly as on the display canvas so ROI coordinates match.
+ * Also works inside the analysis worker, where the image is decoded to an
+ * ImageBitmap and drawn on an OffscreenCanvas.
+ * @param {string} imageUrl - URL of the original image
+ * @param {Object} transform - The image's rotation {rotation}, or null
+ * @returns {Promise<CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D>} Context holding the original pixels
+ */
+export function loadImageContext(imageUrl, transform = null) {
+  if (typeof Image === 'undefined') return loadBitmapContext(imageUrl, transform)
+
   return new Promise((resolve, reject) => {
     // Create a fresh image from the original URL - no overlay involved
     const img = new Image()
@@ -16,31 +140,8 @@ export async function processImage(imageUrl, roi) {
     img.onload = () => {
       // Create a new canvas and draw ONLY the original image
       // This ensures no overlay paint affects the analysis
-      const canvas = document.createElement('canvas')
-      const ctx = canvas.getContext('2d')
-      
-      canvas.width = img.width
-      canvas.height = img.height
-      // Draw ONLY the original image - no overlay, no paint
-      ctx.drawImage(img, 0, 0)
-      
-      // Get image data from the ROI region
-      // ROI coordinates are already in original image dimensions
-      // This extracts ONLY pixels from the original image, not the overlay
-      const imageData = ctx.getImageData(
-        Math.round(roi.x),
-        Math.round(roi.y),
-        Math.round(roi.width),
-        Math.round(roi.height)
-      )
-      
-      // Convert to grayscale, detect line edges, and extract line pixels
-      const lineData = detectLineAndExtractPixels(imageData)
-      
-      // Calculate average RGB from the detected line pixels
-      const avgRGB = calculateAverageRGB(lineData)
-      
-      resolve(avgRGB)
+      const canvas = createTransformedCanvas(img, transform, { willReadFrequently: true })
+      resolve(canvas.getContext('2d', { willReadFrequently: true }))
     }
     
     img.onerror = () => {
@@ -51,146 +152,113 @@ export async function processImage(imageUrl, roi) {
   })
 }
 
-/**
- * Detect line edges and extract pixels within the line region
- * 1. Convert to grayscale
- * 2. Find edges of the line using threshold and gradient
- * 3. Extract pixels within the line boundaries
- * 4. Return those pixels for averaging
- */
-function detectLineAndExtractPixels(imageData) {
-  const { width, height, data } = imageData
-  
-  // Step 1: Convert to grayscale and store pixel data
-  const grayscaleData = []
-  const pixelData = []
-  
-  for (let y = 0; y < height; y++) {
-    grayscaleData[y] = []
-    pixelData[y] = []
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * 4
-      // Convert to grayscale using luminance formula
-      const gray = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114
-      
-      grayscaleData[y][x] = gray
-      pixelData[y][x] = {
-        r: data[idx],
-        g: data[idx + 1],
-        b: data[idx + 2],
-        a: data[idx + 3]
-      }
-    }
+async function loadBitmapContext(imageUrl, transform) {
+  let bitmap
+  try {
+    const response = await fetch(imageUrl)
+    bitmap = await createImageBitmap(await response.blob())
+  } catch (err) {
+    console.warn('Could not decode image:', err)
+    throw new Error('Failed to load image')
   }
-  
-  // Step 2: Find threshold - use Otsu's method or simple percentile
-  // For simplicity, use the median as a threshold point
-  const allGrays = []
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      allGrays.push(grayscaleData[y][x])
-    }
+
+  try {
+    const canvas = createTransformedCanvas(bitmap, transform, { willReadFrequently: true })
+    return canvas.getContext('2d', { willReadFrequently: true })
+  } finally {
+    bitmap.close()
   }
-  allGrays.sort((a, b) => a - b)
-  const median = allGrays[Math.floor(allGrays.length / 2)]
-  // Line is darker than background, so use pixels darker than median
-  // Adjust threshold to be more selective (darker threshold)
-  const threshold = median * 0.7 // Adjust this factor if needed
-  
-  // Step 3: Find the largest connected dark region (the line)
-  const visited = Array(height).fill(null).map(() => Array(width).fill(false))
-  const linePixels = []
-  let largestRegion = []
-  let largestSize = 0
+}
+
+/**
+ * Get image data from the ROI region
+ * ROI coordinates are already in original image dimensions
+ * This extracts ONLY pixels from the original image, not the overlay
+ */
+function getROIImageData(ctx, roi) {
+  return ctx.getImageData(
+    Math.round(roi.x),
+    Math.round(roi.y),
+    Math.max(1, Math.round(roi.width)),
+    Math.max(1, Math.round(roi.height))
+  )
+}
+
+/**
+ * Decode the painted mask of a ROI so that only painted pixels are sampled
+ * Returns null for ROIs without a mask (the whole bounding box is used)
+ */
+function getROIMask(roi, imageData) {
+  if (!roi.mask) return null
+  if (roi.mask.width !== imageData.width || roi.mask.height !== imageData.height) return null
+  return decodeMask(roi.mask)
+}
+
+/**
+ * Detect the line inside a ROI and measure its average colour and intensity
+ * The detected pixels are returned as run-length masks over the ROI bounding
+ * box so they can be drawn over the image afterwards.
+ */
+function measureLine(ctx, roi, metric, detector) {
+  const imageData = getROIImageData(ctx, roi)
   
-  // Flood fill to find connected dark regions
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      if (!visited[y][x] && grayscaleData[y][x] <= threshold) {
-        const region = []
-        floodFill(x, y, width, height, grayscaleData, visited, threshold, region)
-        
-        if (region.length > largestSize) {
-          largestSize = region.length
-          largestRegion = region
-        }
-      }
-    }
-  }
+  // Convert to grayscale and let the chosen detector pick the line pixels
+  const region = createGrayRegion(imageData, getROIMask(roi, imageData))
+  const { selection, candidates, diagnostics } = runLineDetector(region, detector)
   
-  // Step 4: Extract pixels from the largest region (the line)
-  largestRegion.forEach(({ x, y }) => {
-    linePixels.push(pixelData[y][x])
-  })
+  // Calculate average RGB from the detected line pixels
+  const rgb = calculateAverageRGB(imageData.data, selection)
   
-  // If no large region found (line might be very faint), use darkest pixels
-  if (linePixels.length === 0) {
-    // Fallback: use darkest 20% of pixels
-    const allPixelsWithGray = []
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        allPixelsWithGray.push({
-          gray: grayscaleData[y][x],
-          pixel: pixelData[y][x]
-        })
-      }
-    }
-    allPixelsWithGray.sort((a, b) => a.gray - b.gray)
-    const darkestCount = Math.max(1, Math.floor(allPixelsWithGray.length * 0.2))
-    return allPixelsWithGray.slice(0, darkestCount).map(p => p.pixel)
+  const { width, height } = imageData
+  const detection = {
+    x: Math.round(roi.x),
+    y: Math.round(roi.y),
+    width,
+    height,
+    selection: encodeMask(selection, width, height),
+    candidates: encodeMask(candidates, width, height),
   }
   
-  return linePixels
+  return { rgb, intensity: computeIntensity(rgb, metric), diagnostics, detection }
 }
 
 /**
- * Flood fill algorithm to find connected dark pixels (the line region)
+ * Measure the average colour of a blank ROI, such as the background or the
+ * white reference (no line detection)
  */
-function floodFill(startX, startY, width, height, grayscaleData, visited, threshold, region) {
-  const stack = [{ x: startX, y: startY }]
+function measureBackground(ctx, roi, metric) {
+  const imageData = getROIImageData(ctx, roi)
+  const rgb = calculateAverageRGB(imageData.data, getROIMask(roi, imageData))
   
-  while (stack.length > 0) {
-    const { x, y } = stack.pop()
-    
-    // Check bounds
-    if (x < 0 || x >= width || y < 0 || y >= height) continue
-    if (visited[y][x]) continue
-    if (grayscaleData[y][x] > threshold) continue
-    
-    // Mark as visited and add to region
-    visited[y][x] = true
-    region.push({ x, y })
-    
-    // Check 4-connected neighbors
-    stack.push({ x: x + 1, y })
-    stack.push({ x: x - 1, y })
-    stack.push({ x, y: y + 1 })
-    stack.push({ x, y: y - 1 })
-  }
+  return { rgb, intensity: computeIntensity(rgb, metric) }
 }
 
 /**
- * Calculate average RGB from pixel data
+ * Calculate average RGB of the selected pixels of RGBA data
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {Uint8Array|null} selection - Pixels to include (null = all pixels)
  */
-function calculateAverageRGB(pixels) {
-  if (pixels.length === 0) {
-    return { r: 0, g: 0, b: 0 }
-  }
-  
+function calculateAverageRGB(data, selection = null) {
   let sumR = 0
   let sumG = 0
   let sumB = 0
+  let count = 0
   
-  pixels.forEach(pixel => {
-    sumR += pixel.r
-    sumG += pixel.g
-    sumB += pixel.b
-  })
+  for (let i = 0; i < data.length / 4; i++) {
+    if (selection && !selection[i]) continue
+    sumR += data[i * 4]
+    sumG += data[i * 4 + 1]
+    sumB += data[i * 4 + 2]
+    count++
+  }
+  
+  if (count === 0) {
+    return { r: 0, g: 0, b: 0 }
+  }
   
   return {
-    r: sumR / pixels.length,
-    g: sumG / pixels.length,
-    b: sumB / pixels.length
+    r: sumR / count,
+    g: sumG / count,
+    b: sumB / count
   }
 }
-
@@ -0,0 +1,156 @@
+/**
+ * Per-image rotation applied before painting and analysis
+ *
+ * `image.transform` is { rotation } in degrees clockwise, or null for none.
+ * ROIs are stored in the coordinates of the rotated image, so the display
+ * canvas, processImage and the exports all draw the image through
+ * drawTransformedImage to see the same pixels.
+ */
+
+/**
+ * Rotation of a transform in degrees, in the range [-180, 180)
+ */
+export function getRotation(transform) {
+  return normalizeRotation(transform?.rotation || 0)
+}
+
+export function normalizeRotation(degrees) {
+  return ((degrees % 360) + 540) % 360 - 180
+}
+
+/**
+ * Size of the bounding box of the rotated image
+ * @returns {Object} { width, height }
+ */
+export function getTransformedSize(width, height, transform) {
+  const radians = getRotation(transform) * Math.PI / 180
+  const cos = Math.abs(Math.cos(radians))
+  const sin = Math.abs(Math.sin(radians))
+  // Round away float noise so 90° steps keep the exact swapped size
+  return {
+    width: Math.ceil(Math.round((width * cos + height * sin) * 1000) / 1000),
+    height: Math.ceil(Math.round((width * sin + height * cos) * 1000) / 1000),
+  }
+}
+
+/**
+ * Draw an image rotated about its centre onto a canvas sized with
+ * getTransformedSize (times `scale`). The uncovered corners stay transparent.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Destination context
+ * @param {CanvasImageSource} img - Image in its stored orientation
+ * @param {Object|null} transform - { rotation }
+ * @param {number} scale - Display scale applied after rotating
+ */
+export function drawTransformedImage(ctx, img, transform, scale = 1) {
+  const rotation = getRotation(transform)
+  const width = img.naturalWidth || img.width
+  const height = img.naturalHeight || img.height
+
+  if (rotation === 0) {
+    ctx.drawImage(img, 0, 0, width * scale, height * scale)
+    return
+  }
+
+  const size = getTransformedSize(width, height, transform)
+  ctx.save()
+  ctx.imageSmoothingQuality = 'high'
+  ctx.translate(size.width * scale / 2, size.height * scale / 2)
+  ctx.rotate(rotation * Math.PI / 180)
+  ctx.scale(scale, scale)
+  ctx.drawImage(img, -width / 2, -height / 2)
+  ctx.restore()
+}
+
+/**
+ * Create a canvas holding the rotated image at full resolution
+ * Inside a worker, where there is no document, an OffscreenCanvas is used.
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createTransformedCanvas(img, transform, contextOptions = {}) {
+  const size = getTransformedSize(img.naturalWidth || img.width, img.naturalHeight || img.height, transform)
+  const canvas = typeof document === 'undefined'
+    ? new OffscreenCanvas(size.width, size.height)
+    : document.createElement('canvas')
+  canvas.width = size.width
+  canvas.height = size.height
+  drawTransformedImage(canvas.getContext('2d', contextOptions), img, transform)
+  return canvas
+}
+
+/**
+ * Find the rotation that makes the dominant straight edges (the long edges
+ * of the test strip) exactly horizontal or vertical
+ *
+ * The strongest 10% of Sobel edge pixels vote in a Hough transform; the
+ * line with the most votes is taken as the strip edge.
+ *
+ * @param {ImageData} imageData - Image in its current orientation (downscaled is fine)
+ * @returns {number|null} Clockwise correction in degrees within (-45, 45], or null without clear edges
+ */
+export function findStraighteningAngle(imageData) {
+  const { width, height, data } = imageData
+  if (width < 3 || height < 3) return null
+
+  const gray = new Float32Array(width * height)
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]
+  }
+
+  const magnitudes = new Float32Array(width * height)
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x
+      const gx = gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1]
+        - gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1]
+      const gy = gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1]
+        - gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1]
+      magnitudes[i] = Math.hypot(gx, gy)
+    }
+  }
+
+  const sorted = Float32Array.from(magnitudes).sort()
+  const threshold = Math.max(sorted[Math.floor(sorted.length * 0.9)], 1e-6)
+  if (sorted[sorted.length - 1] < threshold) return null
+
+  // Accumulate rho = x cos(theta) + y sin(theta) for theta in [0, 180) at 0.25° steps
+  const angleSteps = 720
+  const maxRho = Math.ceil(Math.hypot(width, height))
+  const rhoCount = maxRho * 2 + 1
+  const cos = new Float64Array(angleSteps)
+  const sin = new Float64Array(angleSteps)
+  for (let a = 0; a < angleSteps; a++) {
+    cos[a] = Math.cos(a * Math.PI / angleSteps)
+    sin[a] = Math.sin(a * Math.PI / angleSteps)
+  }
+
+  const accumulator = new Uint32Array(angleSteps * rhoCount)
+  let votes = 0
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (magnitudes[y * width + x] < threshold) continue
+      votes++
+      for (let a = 0; a < angleSteps; a++) {
+        const rho = Math.round(x * cos[a] + y * sin[a]) + maxRho
+        accumulator[a * rhoCount + rho]++
+      }
+    }
+  }
+  if (votes === 0) return null
+
+  let peakAngle = 0
+  let peakVotes = 0
+  for (let i = 0; i < accumulator.length; i++) {
+    if (accumulator[i] > peakVotes) {
+      peakVotes = accumulator[i]
+      peakAngle = Math.floor(i / rhoCount)
+    }
+  }
+
+  // theta is the line normal; the edge itself runs at theta + 90°, and
+  // rotating clockwise by r turns an edge at φ into φ + r
+  const orientation = (peakAngle * 180 / angleSteps + 90) % 180
+  const offset = orientation % 90
+  const correction = offset > 45 ? 90 - offset : -offset
+  return Math.round(correction * 10) / 10 || 0
+}
@@ -0,0 +1,58 @@
+/**
+ * Scalar intensity metrics derived from an average RGB value.
+ * Every metric is oriented so that a darker (stronger) line gives a larger number,
+ * which makes the values directly comparable as "line intensity".
+ */
+export const INTENSITY_METRICS = {
+  luminance: {
+    label: 'Luminance darkness (255 − Y)',
+    shortLabel: '255 − Y',
+    compute: (rgb) => 255 - luminance(rgb),
+  },
+  green: {
+    label: 'Inverted green (255 − G)',
+    shortLabel: '255 − G',
+    compute: (rgb) => 255 - rgb.g,
+  },
+  lab: {
+    label: 'CIE L* difference (100 − L*)',
+    shortLabel: '100 − L*',
+    compute: (rgb) => 100 - rgbToLightness(rgb),
+  },
+}
+
+export const DEFAULT_METRIC = 'luminance'
+
+/**
+ * Calculate the scalar intensity of an RGB value using the chosen metric
+ * @param {Object} rgb - Average RGB values {r, g, b} in the 0-255 range
+ * @param {string} metric - Key of INTENSITY_METRICS
+ * @returns {number} Intensity value (larger = darker line)
+ */
+export function computeIntensity(rgb, metric = DEFAULT_METRIC) {
+  const definition = INTENSITY_METRICS[metric] || INTENSITY_METRICS[DEFAULT_METRIC]
+  return definition.compute(rgb)
+}
+
+/**
+ * Rec. 601 luma, the same weighting used for grayscale conversion in imageProcessing
+ */
+export function luminance({ r, g, b }) {
+  return r * 0.299 + g * 0.587 + b * 0.114
+}
+
+/**
+ * Convert an sRGB colour to CIE L* (D65 white point)
+ * @returns {number} Lightness in the 0-100 range
+ */
+export function rgbToLightness({ r, g, b }) {
+  // Relative luminance from linearised sRGB channels
+  const y = 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b)
+  const f = y > 216 / 24389 ? Math.cbrt(y) : (24389 / 27 * y + 16) / 116
+  return 116 * f - 16
+}
+
+function srgbToLinear(value) {
+  const c = value / 255
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+}
@@ -0,0 +1,91 @@
+import { computeIntensity, DEFAULT_METRIC } from './intensityMetrics'
+
+/**
+ * Build the cross-section intensity profile of a ROI
+ * Each profile point is the mean RGB of one row (or column) of painted pixels,
+ * converted with the chosen intensity metric, so larger values are darker.
+ * The axis whose profile has the higher peak is used: a line across the strip
+ * shows up as a peak along the strip.
+ *
+ * @param {ImageData} imageData - Pixels of the ROI bounding box
+ * @param {Uint8Array|null} mask - Painted pixels of the bounding box (null = all)
+ * @param {string} metric - Key of INTENSITY_METRICS
+ * @returns {Object} {
+ *   axis: 'rows' | 'columns', values: Array<number|null>,
+ *   peakIndex, baseline, peakHeight, area, start, end
+ * }
+ */
+export function buildIntensityProfile(imageData, mask = null, metric = DEFAULT_METRIC) {
+  const rows = analyseProfile(meanProfile(imageData, mask, metric, 'rows'))
+  const columns = analyseProfile(meanProfile(imageData, mask, metric, 'columns'))
+
+  return rows.peakHeight >= columns.peakHeight
+    ? { axis: 'rows', ...rows }
+    : { axis: 'columns', ...columns }
+}
+
+/**
+ * Mean intensity of each row or column; null where nothing is painted
+ */
+function meanProfile({ width, height, data }, mask, metric, axis) {
+  const length = axis === 'rows' ? height : width
+  const sums = Array.from({ length }, () => ({ r: 0, g: 0, b: 0, count: 0 }))
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x
+      if (mask && !mask[i]) continue
+      const sum = sums[axis === 'rows' ? y : x]
+      sum.r += data[i * 4]
+      sum.g += data[i * 4 + 1]
+      sum.b += data[i * 4 + 2]
+      sum.count++
+    }
+  }
+
+  return sums.map(({ r, g, b, count }) => count > 0
+    ? computeIntensity({ r: r / count, g: g / count, b: b / count }, metric)
+    : null
+  )
+}
+
+/**
+ * Locate the peak, the median baseline and the extent of the peak above it
+ * The area is the sum of (value - baseline) over the contiguous span around
+ * the peak that stays above the baseline, in intensity × pixels.
+ */
+function analyseProfile(values) {
+  const defined = values.filter(value => value !== null).sort((a, b) => a - b)
+  if (defined.length === 0) {
+    return { values, peakIndex: -1, baseline: null, peakHeight: 0, area: 0, start: -1, end: -1 }
+  }
+
+  const baseline = defined[Math.floor(defined.length / 2)]
+  let peakIndex = -1
+  values.forEach((value, index) => {
+    if (value !== null && (peakIndex === -1 || value > values[peakIndex])) {
+      peakIndex = index
+    }
+  })
+
+  const isAboveBaseline = (index) => values[index] !== null && values[index] > baseline
+  let start = peakIndex
+  let end = peakIndex
+  while (start > 0 && isAboveBaseline(start - 1)) start--
+  while (end < values.length - 1 && isAboveBaseline(end + 1)) end++
+
+  let area = 0
+  for (let index = start; index <= end; index++) {
+    if (isAboveBaseline(index)) area += values[index] - baseline
+  }
+
+  return {
+    values,
+    peakIndex,
+    baseline,
+    peakHeight: values[peakIndex] - baseline,
+    area,
+    start,
+    end,
+  }
+}
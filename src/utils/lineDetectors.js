@@ -0,0 +1,425 @@
+/**
+ * Pluggable line detectors
+ *
+ * Every detector works on a prepared grayscale region:
+ *   region = { width, height, gray: Float32Array, mask: Uint8Array|null }
+ * where `mask` marks the painted pixels (null = the whole bounding box).
+ *
+ * A detector's `detect(region)` returns
+ *   { selection: Uint8Array, candidates: Uint8Array, threshold: number }
+ * `candidates` are all pixels that passed the detector's threshold and
+ * `selection` the subset chosen as "the line". runLineDetector wraps this with
+ * the shared fallback and diagnostics.
+ */
+export const LINE_DETECTORS = {
+  median: {
+    label: 'Median × 0.7 (largest blob)',
+    detect: detectMedianThreshold,
+  },
+  otsu: {
+    label: 'Otsu threshold',
+    detect: detectOtsu,
+  },
+  profile: {
+    label: 'Profile peak across the strip',
+    detect: detectProfilePeak,
+  },
+  adaptive: {
+    label: 'Adaptive (local) threshold',
+    detect: detectAdaptive,
+  },
+}
+
+export const DEFAULT_DETECTOR = 'median'
+
+// Share of the darkest painted pixels used when a detector finds nothing
+const FALLBACK_FRACTION = 0.2
+
+/**
+ * Run a detector and attach diagnostics
+ * @param {Object} region - Prepared grayscale region
+ * @param {string} detectorId - Key of LINE_DETECTORS
+ * @returns {Object} { selection, candidates, diagnostics: { detector, threshold, pixelCount, fallback, confidence } }
+ */
+export function runLineDetector(region, detectorId = DEFAULT_DETECTOR) {
+  const detector = LINE_DETECTORS[detectorId] ? detectorId : DEFAULT_DETECTOR
+  let { selection, candidates, threshold } = LINE_DETECTORS[detector].detect(region)
+  let pixelCount = countSelected(selection)
+  let fallback = false
+
+  // If no region found (line might be very faint), use darkest pixels
+  if (pixelCount === 0) {
+    fallback = true
+    ;({ selection, threshold } = selectDarkest(region, FALLBACK_FRACTION))
+    candidates = selection
+    pixelCount = countSelected(selection)
+  }
+
+  return {
+    selection,
+    candidates,
+    diagnostics: {
+      detector,
+      threshold: Number.isFinite(threshold) ? threshold : null,
+      pixelCount,
+      fallback,
+      // The darkest pixels always "separate" from the rest, so a fallback
+      // result carries no confidence
+      confidence: fallback ? 0 : separationConfidence(region, selection),
+    },
+  }
+}
+
+/**
+ * Build a grayscale region from RGBA image data and an optional painted mask
+ */
+export function createGrayRegion(imageData, mask = null) {
+  const { width, height, data } = imageData
+  const gray = new Float32Array(width * height)
+  for (let i = 0; i < gray.length; i++) {
+    const idx = i * 4
+    // Convert to grayscale using luminance formula
+    gray[i] = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114
+  }
+  return { width, height, gray, mask }
+}
+
+/**
+ * Original detector: pixels darker than 0.7 × the median, largest 4-connected blob
+ */
+function detectMedianThreshold(region) {
+  const values = includedValues(region)
+  values.sort()
+  const median = values[Math.floor(values.length / 2)]
+  // Line is darker than background, so use pixels darker than median
+  const threshold = median * 0.7
+
+  const candidates = thresholdBelow(region, threshold)
+  return { candidates, selection: largestComponent(candidates, region.width, region.height), threshold }
+}
+
+/**
+ * Otsu's method: the threshold that maximises between-class variance of the
+ * painted pixels' grey histogram, then the largest connected dark blob
+ */
+function detectOtsu(region) {
+  const histogram = new Float64Array(256)
+  let total = 0
+  forEachIncluded(region, i => {
+    histogram[Math.min(255, Math.max(0, Math.round(region.gray[i])))]++
+    total++
+  })
+  if (total === 0) return emptyResult(region)
+
+  let sumAll = 0
+  for (let v = 0; v < 256; v++) sumAll += v * histogram[v]
+
+  let weightDark = 0
+  let sumDark = 0
+  let bestVariance = -1
+  let threshold = 0
+  for (let v = 0; v < 256; v++) {
+    weightDark += histogram[v]
+    if (weightDark === 0) continue
+    const weightLight = total - weightDark
+    if (weightLight === 0) break
+    sumDark += v * histogram[v]
+    const meanDark = sumDark / weightDark
+    const meanLight = (sumAll - sumDark) / weightLight
+    const variance = weightDark * weightLight * (meanDark - meanLight) ** 2
+    if (variance > bestVariance) {
+      bestVariance = variance
+      threshold = v
+    }
+  }
+
+  const candidates = thresholdBelow(region, threshold + 0.5)
+  return { candidates, selection: largestComponent(candidates, region.width, region.height), threshold }
+}
+
+/**
+ * Profile peak detection: average the ROI along both axes, take the axis whose
+ * profile has the most prominent dark dip (the line runs across the strip) and
+ * select the band around the dip down to half its prominence
+ */
+function detectProfilePeak(region) {
+  const rows = meanProfile(region, 'rows')
+  const columns = meanProfile(region, 'columns')
+  const rowDip = findDip(rows)
+  const columnDip = findDip(columns)
+  const useRows = rowDip.prominence >= columnDip.prominence
+  const dip = useRows ? rowDip : columnDip
+
+  const candidates = new Uint8Array(region.width * region.height)
+  if (dip.prominence <= 0) return { candidates, selection: candidates, threshold: dip.threshold }
+
+  forEachIncluded(region, i => {
+    const position = useRows ? Math.floor(i / region.width) : i % region.width
+    if (position >= dip.start && position <= dip.end) candidates[i] = 1
+  })
+
+  return { candidates, selection: candidates, threshold: dip.threshold }
+}
+
+/**
+ * Adaptive thresholding: a pixel belongs to the line when it is noticeably
+ * darker than the mean of its neighbourhood, which copes with uneven lighting
+ * across the strip. The largest connected blob is kept.
+ */
+function detectAdaptive(region) {
+  const { width, height, gray } = region
+  const radius = Math.max(3, Math.round(Math.min(width, height) / 4))
+  // Required darkening relative to the local mean
+  const offset = 0.04
+
+  // Integral images of painted grey values and painted pixel counts
+  const stride = width + 1
+  const sums = new Float64Array(stride * (height + 1))
+  const counts = new Uint32Array(stride * (height + 1))
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0
+    let rowCount = 0
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x
+      if (isIncluded(region, i)) {
+        rowSum += gray[i]
+        rowCount++
+      }
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum
+      counts[(y + 1) * stride + x + 1] = counts[y * stride + x + 1] + rowCount
+    }
+  }
+
+  const candidates = new Uint8Array(width * height)
+  let thresholdSum = 0
+  let thresholdCount = 0
+  forEachIncluded(region, i => {
+    const x = i % width
+    const y = Math.floor(i / width)
+    const x0 = Math.max(0, x - radius)
+    const y0 = Math.max(0, y - radius)
+    const x1 = Math.min(width, x + radius + 1)
+    const y1 = Math.min(height, y + radius + 1)
+    const boxSum = sums[y1 * stride + x1] - sums[y0 * stride + x1] - sums[y1 * stride + x0] + sums[y0 * stride + x0]
+    const boxCount = counts[y1 * stride + x1] - counts[y0 * stride + x1] - counts[y1 * stride + x0] + counts[y0 * stride + x0]
+    const localThreshold = (boxSum / boxCount) * (1 - offset)
+    if (gray[i] < localThreshold) {
+      candidates[i] = 1
+      thresholdSum += localThreshold
+      thresholdCount++
+    }
+  })
+
+  return {
+    candidates,
+    selection: largestComponent(candidates, width, height),
+    // Report the mean local threshold of the accepted pixels
+    threshold: thresholdCount > 0 ? thresholdSum / thresholdCount : null,
+  }
+}
+
+/**
+ * Fallback: the darkest share of the painted pixels
+ */
+function selectDarkest(region, fraction) {
+  const values = includedValues(region)
+  values.sort()
+  const selection = new Uint8Array(region.width * region.height)
+  if (values.length === 0) return { selection, threshold: null }
+
+  const darkestCount = Math.max(1, Math.floor(values.length * fraction))
+  const threshold = values[darkestCount - 1]
+  let remaining = darkestCount
+  forEachIncluded(region, i => {
+    if (remaining > 0 && region.gray[i] <= threshold) {
+      selection[i] = 1
+      remaining--
+    }
+  })
+  return { selection, threshold }
+}
+
+/**
+ * Confidence from how well the selected pixels separate from the rest of the
+ * painted region: the contrast in units of the pooled standard deviation,
+ * mapped to 0-1 (a separation of 4 standard deviations or more scores 1)
+ */
+function separationConfidence(region, selection) {
+  let inCount = 0, inSum = 0, inSq = 0
+  let outCount = 0, outSum = 0, outSq = 0
+  forEachIncluded(region, i => {
+    const value = region.gray[i]
+    if (selection[i]) {
+      inCount++
+      inSum += value
+      inSq += value * value
+    } else {
+      outCount++
+      outSum += value
+      outSq += value * value
+    }
+  })
+  if (inCount === 0 || outCount === 0) return 0
+
+  const inMean = inSum / inCount
+  const outMean = outSum / outCount
+  const inVariance = Math.max(0, inSq / inCount - inMean * inMean)
+  const outVariance = Math.max(0, outSq / outCount - outMean * outMean)
+  const pooledStd = Math.sqrt((inVariance + outVariance) / 2) || 1
+  const separation = (outMean - inMean) / pooledStd
+
+  return Math.min(1, Math.max(0, separation / 4))
+}
+
+/**
+ * Mean grey value of each row or column of painted pixels, lightly smoothed
+ * Rows/columns without painted pixels are NaN
+ */
+function meanProfile(region, axis) {
+  const { width, height, gray } = region
+  const length = axis === 'rows' ? height : width
+  const sums = new Float64Array(length)
+  const counts = new Uint32Array(length)
+  forEachIncluded(region, i => {
+    const position = axis === 'rows' ? Math.floor(i / width) : i % width
+    sums[position] += gray[i]
+    counts[position]++
+  })
+
+  const profile = new Float64Array(length)
+  for (let p = 0; p < length; p++) {
+    profile[p] = counts[p] > 0 ? sums[p] / counts[p] : NaN
+  }
+
+  // 3-tap moving average to suppress single-row noise
+  return profile.map((_, p) => {
+    let sum = 0
+    let count = 0
+    for (let q = p - 1; q <= p + 1; q++) {
+      if (q >= 0 && q < length && !Number.isNaN(profile[q])) {
+        sum += profile[q]
+        count++
+      }
+    }
+    return count > 0 && !Number.isNaN(profile[p]) ? sum / count : NaN
+  })
+}
+
+/**
+ * Find the darkest dip of a profile relative to its median baseline
+ * @returns {Object} { start, end, prominence, threshold } (indices inclusive)
+ */
+function findDip(profile) {
+  const values = Array.from(profile).filter(v => !Number.isNaN(v)).sort((a, b) => a - b)
+  if (values.length < 3) return { start: 0, end: -1, prominence: 0, threshold: null }
+
+  const baseline = values[Math.floor(values.length / 2)]
+  let minIndex = -1
+  for (let p = 0; p < profile.length; p++) {
+    if (!Number.isNaN(profile[p]) && (minIndex === -1 || profile[p] < profile[minIndex])) {
+      minIndex = p
+    }
+  }
+
+  const prominence = baseline - profile[minIndex]
+  // Half-maximum boundary of the dip
+  const threshold = baseline - prominence / 2
+  let start = minIndex
+  let end = minIndex
+  while (start > 0 && profile[start - 1] <= threshold) start--
+  while (end < profile.length - 1 && profile[end + 1] <= threshold) end++
+
+  return { start, end, prominence, threshold }
+}
+
+/**
+ * Keep the largest 4-connected blob of a candidate bitmap
+ */
+function largestComponent(candidates, width, height) {
+  // Component number of every visited pixel, starting at 1
+  const labels = new Int32Array(width * height)
+  const stack = new Int32Array(width * height)
+  let label = 0
+  let largestLabel = 0
+  let largestSize = 0
+
+  for (let start = 0; start < candidates.length; start++) {
+    if (!candidates[start] || labels[start]) continue
+
+    // Flood fill to label the connected region
+    label++
+    let size = 0
+    let top = 0
+    stack[top++] = start
+    labels[start] = label
+    while (top > 0) {
+      const i = stack[--top]
+      size++
+      const x = i % width
+      if (x + 1 < width && candidates[i + 1] && !labels[i + 1]) {
+        labels[i + 1] = label
+        stack[top++] = i + 1
+      }
+      if (x > 0 && candidates[i - 1] && !labels[i - 1]) {
+        labels[i - 1] = label
+        stack[top++] = i - 1
+      }
+      if (i + width < candidates.length && candidates[i + width] && !labels[i + width]) {
+        labels[i + width] = label
+        stack[top++] = i + width
+      }
+      if (i >= width && candidates[i - width] && !labels[i - width]) {
+        labels[i - width] = label
+        stack[top++] = i - width
+      }
+    }
+
+    if (size > largestSize) {
+      largestSize = size
+      largestLabel = label
+    }
+  }
+
+  const selection = new Uint8Array(width * height)
+  if (largestLabel) {
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] === largestLabel) selection[i] = 1
+    }
+  }
+  return selection
+}
+
+function thresholdBelow(region, threshold) {
+  const candidates = new Uint8Array(region.width * region.height)
+  forEachIncluded(region, i => {
+    if (region.gray[i] <= threshold) candidates[i] = 1
+  })
+  return candidates
+}
+
+function includedValues(region) {
+  const values = []
+  forEachIncluded(region, i => values.push(region.gray[i]))
+  return Float32Array.from(values)
+}
+
+function isIncluded(region, i) {
+  return !region.mask || region.mask[i] === 1
+}
+
+function forEachIncluded(region, callback) {
+  for (let i = 0; i < region.gray.length; i++) {
+    if (isIncluded(region, i)) callback(i)
+  }
+}
+
+function countSelected(selection) {
+  let count = 0
+  for (let i = 0; i < selection.length; i++) count += selection[i]
+  return count
+}
+
+function emptyResult(region) {
+  const empty = new Uint8Array(region.width * region.height)
+  return { candidates: empty, selection: empty, threshold: null }
+}
@@ -0,0 +1,100 @@
+import { decodeMask } from './roiMask'
+import { isPainted } from './paintMask'
+
+/**
+ * Draw a run-length mask onto an overlay canvas
+ * The mask is rendered at its native (original image) resolution on an
+ * offscreen canvas and then scaled onto the overlay in one drawImage call,
+ * so it stays pixel-accurate regardless of the display size.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Overlay context
+ * @param {Object} mask - Mask {width, height, runs}
+ * @param {Object} placement - {x, y} of the mask in original image coordinates and the display `scale`
+ * @param {Array<number>} color - RGBA colour, alpha in the 0-255 range
+ * @param {boolean} outlineOnly - Only draw the boundary pixels of the mask
+ */
+export function drawMask(ctx, mask, { x, y, scale }, color, outlineOnly = false) {
+  // Outlines must stay at least one display pixel wide when the image is shown scaled down
+  const thickness = Math.max(1, Math.ceil(1 / scale))
+  const { width, height } = mask
+  if (width === 0 || height === 0) return
+
+  const bits = decodeMask(mask)
+  const layer = document.createElement('canvas')
+  layer.width = width
+  layer.height = height
+  const layerCtx = layer.getContext('2d')
+  const imageData = layerCtx.createImageData(width, height)
+
+  for (let py = 0; py < height; py++) {
+    for (let px = 0; px < width; px++) {
+      const i = py * width + px
+      if (!bits[i]) continue
+      if (outlineOnly && !isBoundary(bits, px, py, width, height, thickness)) continue
+      imageData.data.set(color, i * 4)
+    }
+  }
+  layerCtx.putImageData(imageData, 0, 0)
+
+  ctx.save()
+  // Keep hard pixel edges when scaling the mask up
+  ctx.imageSmoothingEnabled = false
+  ctx.drawImage(layer, x * scale, y * scale, width * scale, height * scale)
+  ctx.restore()
+}
+
+/**
+ * A mask pixel is on the boundary when a pixel `thickness` steps away along
+ * either axis is outside the mask
+ */
+function isBoundary(bits, x, y, width, height, thickness) {
+  return x < thickness || y < thickness ||
+    x >= width - thickness || y >= height - thickness ||
+    !bits[y * width + x - thickness] || !bits[y * width + x + thickness] ||
+    !bits[(y - thickness) * width + x] || !bits[(y + thickness) * width + x]
+}
+
+// RGBA values of CSS colours, resolved by the browser
+const colorCache = new Map()
+
+/**
+ * Convert a CSS colour to RGBA bytes
+ * @returns {Array<number>} [r, g, b, a], alpha in the 0-255 range
+ */
+export function cssColorToRGBA(color) {
+  if (!colorCache.has(color)) {
+    const ctx = document.createElement('canvas').getContext('2d', { willReadFrequently: true })
+    ctx.fillStyle = color
+    ctx.fillRect(0, 0, 1, 1)
+    colorCache.set(color, Array.from(ctx.getImageData(0, 0, 1, 1).data))
+  }
+  return colorCache.get(color)
+}
+
+/**
+ * Repaint part of a paint layer from its paint mask (see paintMask)
+ * The layer is a canvas at original image resolution holding the coloured
+ * paint; the overlay shows it scaled with one drawImage call, so after an
+ * edit only the changed rectangle has to be rewritten here.
+ *
+ * @param {CanvasRenderingContext2D} layerCtx - Context of the layer canvas, the size of the mask
+ * @param {Object} mask - Paint mask
+ * @param {Object} rect - Rectangle {x0, y0, x1, y1} in original image coordinates
+ * @param {string} color - CSS colour of the paint
+ */
+export function updatePaintLayer(layerCtx, mask, rect, color) {
+  const x0 = Math.max(0, rect.x0)
+  const y0 = Math.max(0, rect.y0)
+  const width = Math.min(mask.width, rect.x1) - x0
+  const height = Math.min(mask.height, rect.y1) - y0
+  if (width <= 0 || height <= 0) return
+
+  const rgba = cssColorToRGBA(color)
+  const imageData = layerCtx.createImageData(width, height)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isPainted(mask, x0 + x, y0 + y)) imageData.data.set(rgba, (y * width + x) * 4)
+    }
+  }
+  layerCtx.putImageData(imageData, x0, y0)
+}
@@ -0,0 +1,294 @@
+import { decodeMask, encodeMask } from './roiMask'
+
+/**
+ * Editable bitmap of the pixels painted for one ROI
+ *
+ * A paint mask is in the coordinates of the whole (rotated) image, but only
+ * stores one byte per pixel, 1 for painted, for the box around the painting,
+ * which grows as painting reaches past it. It is changed in place:
+ *   { width, height, box: {x0, y0, x1, y1} or null, bits: Uint8Array over the box, count }
+ * Every edit is recorded as the runs of pixels it flipped, as indices into
+ * the whole image. Undo and redo flip those runs back and forth, so no copy
+ * of the mask is kept per step. Edits return the rectangle {x0, y0, x1, y1}
+ * (x1 and y1 exclusive) they changed, or null, so only that part of the
+ * overlay needs redrawing.
+ */
+
+// Extra pixels allocated on each side when the box grows, so a stroke does
+// not reallocate it on every step
+const GROW_MARGIN = 64
+
+/**
+ * Create a paint mask, starting from a saved ROI when given
+ * @param {number} width - Image width (after rotation)
+ * @param {number} height - Image height
+ * @param {Object|null} roi - Saved ROI {x, y, width, height, mask} to paint on again
+ */
+export function createPaintMask(width, height, roi = null) {
+  const mask = { width, height, box: null, bits: new Uint8Array(0), count: 0 }
+  if (!roi) return mask
+
+  // Masks that do not match the box are ignored, as in the analysis
+  const roiBits = roi.mask?.width === roi.width && roi.mask.height === roi.height ? decodeMask(roi.mask) : null
+  coverRect(mask, { x0: roi.x, y0: roi.y, x1: roi.x + roi.width, y1: roi.y + roi.height }, 0)
+  for (let y = Math.max(0, -roi.y); y < roi.height && roi.y + y < height; y++) {
+    for (let x = Math.max(0, -roi.x); x < roi.width && roi.x + x < width; x++) {
+      if (roiBits && !roiBits[y * roi.width + x]) continue
+      mask.bits[boxIndex(mask, roi.x + x, roi.y + y)] = 1
+      mask.count++
+    }
+  }
+  return mask
+}
+
+/**
+ * Whether a pixel of the image is painted
+ */
+export function isPainted(mask, x, y) {
+  const { box } = mask
+  if (!box || x < box.x0 || x >= box.x1 || y < box.y0 || y >= box.y1) return false
+  return mask.bits[boxIndex(mask, x, y)] === 1
+}
+
+/**
+ * Start recording an edit that paints (value true) or erases pixels
+ */
+export function beginEdit(mask, value) {
+  return { mask, value: value ? 1 : 0, flipped: [], bounds: null }
+}
+
+/**
+ * Finish an edit
+ * @returns {Object|null} Change { runs: Uint32Array of [start, length, ...] pixel indices, bounds },
+ *   or null when no pixel changed
+ */
+export function endEdit(edit) {
+  if (edit.flipped.length === 0) return null
+
+  const indices = Uint32Array.from(edit.flipped).sort()
+  const runs = []
+  let start = indices[0]
+  let length = 1
+  for (let i = 1; i < indices.length; i++) {
+    if (indices[i] === start + length) {
+      length++
+    } else {
+      runs.push(start, length)
+      start = indices[i]
+      length = 1
+    }
+  }
+  runs.push(start, length)
+  return { runs: Uint32Array.from(runs), bounds: edit.bounds }
+}
+
+/**
+ * Flip the pixels of a recorded change; applying it again reverts it
+ * @returns {Object} Rectangle of the change
+ */
+export function applyChange(mask, change) {
+  coverRect(mask, change.bounds)
+  const { bits, width } = mask
+  const { runs } = change
+  for (let i = 0; i < runs.length; i += 2) {
+    for (let index = runs[i]; index < runs[i] + runs[i + 1]; index++) {
+      const boxed = boxIndex(mask, index % width, Math.floor(index / width))
+      bits[boxed] ^= 1
+      mask.count += bits[boxed] ? 1 : -1
+    }
+  }
+  return change.bounds
+}
+
+/**
+ * Stamp a round brush: every pixel whose centre is within `radius` of the
+ * point, and always the pixel under the point itself
+ * @param {Object} edit - Edit from beginEdit
+ * @param {Object} point - {x, y} in image coordinates
+ * @param {number} radius - Brush radius in image pixels
+ * @returns {Object|null} Changed rectangle
+ */
+export function paintDisc(edit, point, radius) {
+  const { width, height } = edit.mask
+  const flipped = edit.flipped.length
+  const centerX = Math.floor(point.x)
+  const centerY = Math.floor(point.y)
+  const area = {
+    x0: Math.max(0, Math.floor(point.x - radius)),
+    y0: Math.max(0, Math.floor(point.y - radius)),
+    x1: Math.min(width, Math.floor(point.x + radius) + 1),
+    y1: Math.min(height, Math.floor(point.y + radius) + 1),
+  }
+  // Erasing never needs room outside the painted box
+  if (edit.value) coverRect(edit.mask, area)
+  let rect = null
+
+  for (let y = area.y0; y < area.y1; y++) {
+    for (let x = area.x0; x < area.x1; x++) {
+      const dx = x + 0.5 - point.x
+      const dy = y + 0.5 - point.y
+      if (dx * dx + dy * dy > radius * radius && (x !== centerX || y !== centerY)) continue
+      if (setPixel(edit, x, y)) rect = extendRect(rect, x, y)
+    }
+  }
+  return edit.flipped.length > flipped ? rect : null
+}
+
+/**
+ * Stamp the brush along a segment, closely enough that a fast stroke
+ * (pointer events far apart) leaves no gaps
+ * @returns {Object|null} Changed rectangle
+ */
+export function paintSegment(edit, from, to, radius) {
+  const distance = Math.hypot(to.x - from.x, to.y - from.y)
+  const steps = Math.max(1, Math.ceil(distance / Math.max(0.5, radius / 2)))
+  let rect = null
+  for (let step = 1; step <= steps; step++) {
+    const t = step / steps
+    rect = unionRect(rect, paintDisc(edit, {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+    }, radius))
+  }
+  return rect
+}
+
+/**
+ * Paint horizontal spans, as returned by the shape tools (see roiShapes)
+ * @param {Array<number>} spans - [x, y, length, ...] in image coordinates
+ * @returns {Object|null} Changed rectangle
+ */
+export function paintSpans(edit, spans) {
+  const { width, height } = edit.mask
+  let rect = null
+  for (let i = 0; i < spans.length; i += 3) {
+    const y = spans[i + 1]
+    if (y < 0 || y >= height) continue
+    const x0 = Math.max(0, spans[i])
+    const x1 = Math.min(width, spans[i] + spans[i + 2])
+    if (x0 >= x1) continue
+    if (edit.value) coverRect(edit.mask, { x0, y0: y, x1, y1: y + 1 })
+    for (let x = x0; x < x1; x++) {
+      if (setPixel(edit, x, y)) rect = extendRect(rect, x, y)
+    }
+  }
+  return rect
+}
+
+/**
+ * Erase every painted pixel
+ * @returns {Object|null} Changed rectangle
+ */
+export function clearMask(edit) {
+  const { box } = edit.mask
+  if (!box) return null
+  let rect = null
+  for (let y = box.y0; y < box.y1; y++) {
+    for (let x = box.x0; x < box.x1; x++) {
+      if (setPixel(edit, x, y)) rect = extendRect(rect, x, y)
+    }
+  }
+  return rect
+}
+
+/**
+ * Rectangle around the painted pixels, or null when nothing is painted
+ */
+export function getMaskBounds(mask) {
+  if (mask.count === 0) return null
+  const { box, bits } = mask
+  const boxWidth = box.x1 - box.x0
+  let x0 = box.x1, y0 = box.y1, x1 = box.x0, y1 = box.y0
+  for (let y = box.y0; y < box.y1; y++) {
+    const row = (y - box.y0) * boxWidth - box.x0
+    for (let x = box.x0; x < box.x1; x++) {
+      if (!bits[row + x]) continue
+      if (x < x0) x0 = x
+      if (x >= x1) x1 = x + 1
+      y1 = y + 1
+      if (y < y0) y0 = y
+    }
+  }
+  return { x0, y0, x1, y1 }
+}
+
+/**
+ * Build a saved ROI from the painted pixels
+ * @returns {Object|null} ROI {x, y, width, height, mask} in image coordinates, or null if nothing is painted
+ */
+export function paintMaskToROI(mask) {
+  const bounds = getMaskBounds(mask)
+  if (!bounds) return null
+
+  const width = bounds.x1 - bounds.x0
+  const height = bounds.y1 - bounds.y0
+  const bits = new Uint8Array(width * height)
+  for (let y = 0; y < height; y++) {
+    const from = boxIndex(mask, bounds.x0, bounds.y0 + y)
+    bits.set(mask.bits.subarray(from, from + width), y * width)
+  }
+  return { x: bounds.x0, y: bounds.y0, width, height, mask: encodeMask(bits, width, height) }
+}
+
+export function unionRect(a, b) {
+  if (!a) return b
+  if (!b) return a
+  return {
+    x0: Math.min(a.x0, b.x0),
+    y0: Math.min(a.y0, b.y0),
+    x1: Math.max(a.x1, b.x1),
+    y1: Math.max(a.y1, b.y1),
+  }
+}
+
+// Outside the box every pixel is unpainted, so only painting needs the box to cover it
+function setPixel(edit, x, y) {
+  const { mask } = edit
+  if (isPainted(mask, x, y) === Boolean(edit.value)) return false
+  mask.bits[boxIndex(mask, x, y)] = edit.value
+  mask.count += edit.value ? 1 : -1
+  edit.flipped.push(y * mask.width + x)
+  edit.bounds = extendRect(edit.bounds, x, y)
+  return true
+}
+
+function boxIndex({ box }, x, y) {
+  return (y - box.y0) * (box.x1 - box.x0) + x - box.x0
+}
+
+/**
+ * Grow the stored box so it covers a rectangle of the image, with some
+ * margin, copying the painting over
+ */
+function coverRect(mask, rect, margin = GROW_MARGIN) {
+  const { box } = mask
+  if (box && rect.x0 >= box.x0 && rect.y0 >= box.y0 && rect.x1 <= box.x1 && rect.y1 <= box.y1) return
+
+  // Only the sides the rectangle reaches past move, by the margin beyond it
+  const next = {
+    x0: box && rect.x0 >= box.x0 ? box.x0 : Math.max(0, rect.x0 - margin),
+    y0: box && rect.y0 >= box.y0 ? box.y0 : Math.max(0, rect.y0 - margin),
+    x1: box && rect.x1 <= box.x1 ? box.x1 : Math.min(mask.width, rect.x1 + margin),
+    y1: box && rect.y1 <= box.y1 ? box.y1 : Math.min(mask.height, rect.y1 + margin),
+  }
+  if (next.x0 >= next.x1 || next.y0 >= next.y1) return
+  const bits = new Uint8Array((next.x1 - next.x0) * (next.y1 - next.y0))
+  if (box) {
+    const boxWidth = box.x1 - box.x0
+    for (let y = box.y0; y < box.y1; y++) {
+      const from = (y - box.y0) * boxWidth
+      bits.set(mask.bits.subarray(from, from + boxWidth), (y - next.y0) * (next.x1 - next.x0) + box.x0 - next.x0)
+    }
+  }
+  mask.box = next
+  mask.bits = bits
+}
+
+function extendRect(rect, x, y) {
+  if (!rect) return { x0: x, y0: y, x1: x + 1, y1: y + 1 }
+  if (x < rect.x0) rect.x0 = x
+  if (y < rect.y0) rect.y0 = y
+  if (x >= rect.x1) rect.x1 = x + 1
+  if (y >= rect.y1) rect.y1 = y + 1
+  return rect
+}
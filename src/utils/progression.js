@@ -0,0 +1,85 @@
+import { getDPODay } from './dpo'
+
+/**
+ * Derive the progression metric for a DPO-sorted list of results.
+ * The background-corrected T/C ratio is used when every result has one,
+ * because it is comparable across photos; otherwise the raw intensity is used.
+ * When every result was white-balanced against a reference patch, the
+ * calibrated values are used instead of the raw ones.
+ *
+ * Several tests can be taken on the same day. The rate of change is worked
+ * out between day means (see groupByDay), and every result of a day gets the
+ * rate of change of its day.
+ *
+ * @param {Array<Object>} results - Results sorted by DPO
+ * @returns {Array<Object>} Results with `value`, `valueKind`, `valueCalibrated` and `rateOfChange` set
+ */
+export function calculateProgression(results) {
+  const valueCalibrated = results.length > 0 && results.every(result => result.calibrated)
+  const source = result => valueCalibrated ? result.calibrated : result
+
+  const useRatio = results.length > 0 &&
+    results.every(result => source(result).tcRatio !== null && source(result).tcRatio !== undefined)
+  const valueKind = useRatio ? 'tcRatio' : 'intensity'
+
+  const withValues = results.map(result => ({
+    ...result,
+    value: source(result)[valueKind],
+    valueKind,
+    valueCalibrated,
+  }))
+
+  const rates = new Map()
+  groupByDay(withValues).forEach(day => {
+    day.results.forEach(result => rates.set(result, day.rateOfChange))
+  })
+  return withValues.map(result => ({ ...result, rateOfChange: rates.get(result) }))
+}
+
+/**
+ * Group DPO-sorted results (with `value` set) into days
+ * A day sits at the mean DPO of its tests. The change per DPO day is taken
+ * between the means of consecutive days, since tests aren't always taken on
+ * consecutive days.
+ *
+ * @param {Array<Object>} results - Results from calculateProgression
+ * @returns {Array<Object>} [{ day, dpo, results, mean, spread (sample standard
+ *   deviation, null for a single test), min, max, rateOfChange }]
+ */
+export function groupByDay(results) {
+  const days = []
+  results.forEach(result => {
+    const day = getDPODay(result.dpo)
+    const last = days[days.length - 1]
+    if (last && last.day === day) {
+      last.results.push(result)
+    } else {
+      days.push({ day, results: [result] })
+    }
+  })
+
+  return days.map(({ day, results: dayResults }) => {
+    const values = dayResults.map(result => result.value)
+    const mean = average(values)
+    const spread = values.length > 1
+      ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1))
+      : null
+    return {
+      day,
+      dpo: average(dayResults.map(result => result.dpo)),
+      results: dayResults,
+      mean,
+      spread,
+      min: Math.min(...values),
+      max: Math.max(...values),
+    }
+  }).map((day, i, all) => {
+    const previous = all[i - 1]
+    const rateOfChange = previous ? (day.mean - previous.mean) / (day.dpo - previous.dpo) : null
+    return { ...day, rateOfChange }
+  })
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length
+}
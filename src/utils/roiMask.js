@@ -0,0 +1,92 @@
+/**
+ * Compact ROI mask format
+ *
+ * A mask is a run-length-encoded bitmap covering the ROI bounding box:
+ *   { width, height, runs: [start, length, start, length, ...] }
+ * `start` is a row-major pixel index inside the bounding box and `length`
+ * the number of consecutive painted pixels from there. This is far smaller
+ * than a list of "x,y" strings and can be serialised as plain JSON.
+ */
+
+/**
+ * Encode a bitmap (non-zero = painted) as a run-length mask
+ * @param {Uint8Array} bits - Row-major bitmap of width * height entries
+ * @param {number} width - Bitmap width
+ * @param {number} height - Bitmap height
+ * @returns {Object} Mask {width, height, runs}
+ */
+export function encodeMask(bits, width, height) {
+  const runs = []
+  let runStart = -1
+
+  for (let i = 0; i < width * height; i++) {
+    if (bits[i]) {
+      if (runStart === -1) runStart = i
+    } else if (runStart !== -1) {
+      runs.push(runStart, i - runStart)
+      runStart = -1
+    }
+  }
+  if (runStart !== -1) {
+    runs.push(runStart, width * height - runStart)
+  }
+
+  return { width, height, runs }
+}
+
+/**
+ * Decode a run-length mask back into a bitmap
+ * @param {Object} mask - Mask {width, height, runs}
+ * @returns {Uint8Array} Row-major bitmap, 1 for painted pixels
+ */
+export function decodeMask(mask) {
+  const bits = new Uint8Array(mask.width * mask.height)
+  for (let i = 0; i < mask.runs.length; i += 2) {
+    bits.fill(1, mask.runs[i], mask.runs[i] + mask.runs[i + 1])
+  }
+  return bits
+}
+
+/**
+ * Count the painted pixels in a mask without decoding it
+ */
+export function countMaskPixels(mask) {
+  let count = 0
+  for (let i = 1; i < mask.runs.length; i += 2) {
+    count += mask.runs[i]
+  }
+  return count
+}
+
+/**
+ * Move an ROI by whole pixels, cropping whatever falls outside the image
+ * @param {Object} roi - ROI {x, y, width, height, mask}
+ * @param {number} dx - Horizontal offset in image pixels
+ * @param {number} dy - Vertical offset in image pixels
+ * @param {number} imageWidth - Width of the image the ROI is moved onto
+ * @param {number} imageHeight - Height of that image
+ * @returns {Object|null} Moved ROI, or null if no part of it is left on the image
+ */
+export function offsetROI(roi, dx, dy, imageWidth, imageHeight) {
+  const x = roi.x + dx
+  const y = roi.y + dy
+  const x0 = Math.max(0, x)
+  const y0 = Math.max(0, y)
+  const x1 = Math.min(imageWidth, x + roi.width)
+  const y1 = Math.min(imageHeight, y + roi.height)
+  const width = x1 - x0
+  const height = y1 - y0
+  if (width <= 0 || height <= 0) return null
+
+  if (!roi.mask) return { x: x0, y: y0, width, height }
+  if (width === roi.width && height === roi.height) return { ...roi, x: x0, y: y0 }
+
+  const bits = decodeMask(roi.mask)
+  const cropped = new Uint8Array(width * height)
+  for (let row = 0; row < height; row++) {
+    const from = (y0 - y + row) * roi.width + (x0 - x)
+    cropped.set(bits.subarray(from, from + width), row * width)
+  }
+  const mask = encodeMask(cropped, width, height)
+  return mask.runs.length > 0 ? { x: x0, y: y0, width, height, mask } : null
+}
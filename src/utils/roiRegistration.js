@@ -0,0 +1,300 @@
+import { loadImageContext } from './imageProcessing'
+import { offsetROI } from './roiMask'
+import { ROI_TARGETS } from './roiTargets'
+
+/**
+ * Copy the ROIs of one photo onto another photo of the same kind of strip
+ *
+ * The area around the source ROIs (the lines plus some of the strip around
+ * them) is used as a template and located in the target photo by normalised
+ * cross-correlation, coarse to fine over an image pyramid of downscaled
+ * copies, then refined at full resolution in a small area only, so whole
+ * phone photos are never converted or searched pixel by pixel. Only a shift
+ * is searched for, so both photos should be taken at about the same distance
+ * and straightened first (see imageTransform).
+ */
+
+// Placements scoring below this are flagged for review
+export const LOW_CONFIDENCE = 0.6
+
+// Longest side of the downscaled copies the pyramid is built from
+const MATCH_SIZE = 1024
+// Longest side of the target at the coarsest pyramid level, searched exhaustively
+const COARSE_SIZE = 256
+// Smallest template side kept at the coarsest level
+const MIN_TEMPLATE_SIZE = 8
+// Positions searched on either side of the estimate carried to a finer level
+const REFINE_RADIUS = 2
+
+/**
+ * Find where the source image's ROIs sit on a target image
+ * @param {Object} source - Image with at least one saved ROI
+ * @param {Object} target - Image to place the ROIs on
+ * @returns {Promise<Object|null>} { rois: { roi, controlRoi, backgroundRoi, whiteRoi }, confidence in [0, 1] },
+ *   or null when the template cannot be located
+ */
+export async function placeROIs(source, target) {
+  const fields = Object.values(ROI_TARGETS).map(({ field }) => field).filter(field => source[field])
+  if (fields.length === 0) return null
+
+  const [sourceCtx, targetCtx] = await Promise.all([
+    loadImageContext(source.url, source.transform),
+    loadImageContext(target.url, target.transform),
+  ])
+  const sourceSize = { width: sourceCtx.canvas.width, height: sourceCtx.canvas.height }
+  const targetSize = { width: targetCtx.canvas.width, height: targetCtx.canvas.height }
+  const template = getTemplateRect(fields.map(field => source[field]), sourceSize)
+
+  // One scale for both photos, so the template keeps its size relative to the target
+  const scale = Math.min(1, MATCH_SIZE / Math.max(sourceSize.width, sourceSize.height, targetSize.width, targetSize.height))
+  const scaledTemplate = {
+    x: Math.floor(template.x * scale),
+    y: Math.floor(template.y * scale),
+    width: Math.max(1, Math.floor(template.width * scale)),
+    height: Math.max(1, Math.floor(template.height * scale)),
+  }
+  let match = findTemplate(
+    toGray(sourceCtx, { x: 0, y: 0, ...sourceSize }, scale),
+    scaledTemplate,
+    toGray(targetCtx, { x: 0, y: 0, ...targetSize }, scale)
+  )
+  if (!match) return null
+  if (scale < 1) {
+    match = refineMatch(sourceCtx, template, targetCtx, {
+      x: Math.round(match.x / scale),
+      y: Math.round(match.y / scale),
+    }, Math.ceil(1 / scale) + REFINE_RADIUS)
+    if (!match) return null
+  }
+
+  const dx = match.x - template.x
+  const dy = match.y - template.y
+  const rois = {}
+  Object.values(ROI_TARGETS).forEach(({ field }) => {
+    rois[field] = source[field] ? offsetROI(source[field], dx, dy, targetSize.width, targetSize.height) : null
+  })
+  return { rois, confidence: Math.max(0, Math.min(1, match.score)) }
+}
+
+/**
+ * Search full-resolution positions around an estimate from the downscaled match
+ * Only the template and the area it can move in are read from the canvases.
+ */
+function refineMatch(sourceCtx, rect, targetCtx, estimate, radius) {
+  const { width, height } = targetCtx.canvas
+  const area = {
+    x: Math.max(0, estimate.x - radius),
+    y: Math.max(0, estimate.y - radius),
+  }
+  area.width = Math.min(width, estimate.x + radius + rect.width) - area.x
+  area.height = Math.min(height, estimate.y + radius + rect.height) - area.y
+  if (area.width < rect.width || area.height < rect.height) return null
+
+  const template = extractTemplate(toGray(sourceCtx, rect), { x: 0, y: 0, width: rect.width, height: rect.height })
+  if (!template) return null
+  const best = searchTemplate(toGray(targetCtx, area), template, {
+    x0: 0,
+    x1: area.width - rect.width,
+    y0: 0,
+    y1: area.height - rect.height,
+  })
+  return best && { x: area.x + best.x, y: area.y + best.y, score: best.score }
+}
+
+/**
+ * Bounding box of the ROIs, padded with half its longer side of surrounding
+ * strip so the template has edges to lock on to
+ */
+function getTemplateRect(rois, image) {
+  const x0 = Math.min(...rois.map(roi => roi.x))
+  const y0 = Math.min(...rois.map(roi => roi.y))
+  const x1 = Math.max(...rois.map(roi => roi.x + roi.width))
+  const y1 = Math.max(...rois.map(roi => roi.y + roi.height))
+  const pad = Math.round(Math.max(x1 - x0, y1 - y0) / 2)
+
+  const x = Math.max(0, x0 - pad)
+  const y = Math.max(0, y0 - pad)
+  return {
+    x,
+    y,
+    width: Math.min(image.width, x1 + pad) - x,
+    height: Math.min(image.height, y1 + pad) - y,
+  }
+}
+
+/**
+ * Locate a rectangle of the source image in the target image
+ * @returns {Object|null} Top-left corner {x, y} in the target and the correlation score
+ */
+function findTemplate(source, rect, target) {
+  if (rect.width > target.width || rect.height > target.height) return null
+
+  let levels = 0
+  while (Math.max(target.width, target.height) >> levels > COARSE_SIZE &&
+         Math.min(rect.width, rect.height) >> (levels + 1) >= MIN_TEMPLATE_SIZE) {
+    levels++
+  }
+
+  const sourcePyramid = buildPyramid(source, levels)
+  const targetPyramid = buildPyramid(target, levels)
+
+  let best = null
+  for (let level = levels; level >= 0; level--) {
+    const template = extractTemplate(sourcePyramid[level], {
+      x: rect.x >> level,
+      y: rect.y >> level,
+      width: rect.width >> level,
+      height: rect.height >> level,
+    })
+    if (!template) return null
+
+    const image = targetPyramid[level]
+    const maxX = image.width - template.width
+    const maxY = image.height - template.height
+    const range = best
+      ? {
+          x0: Math.max(0, best.x * 2 - REFINE_RADIUS),
+          x1: Math.min(maxX, best.x * 2 + REFINE_RADIUS),
+          y0: Math.max(0, best.y * 2 - REFINE_RADIUS),
+          y1: Math.min(maxY, best.y * 2 + REFINE_RADIUS),
+        }
+      : { x0: 0, x1: maxX, y0: 0, y1: maxY }
+    best = searchTemplate(image, template, range)
+    if (!best) return null
+  }
+  return best
+}
+
+/**
+ * Best normalised cross-correlation of the template over a range of positions
+ */
+function searchTemplate(image, template, { x0, x1, y0, y1 }) {
+  if (x0 > x1 || y0 > y1) return null
+
+  // Finer levels only search a few positions, so the tables cover just the
+  // pixels those windows can reach rather than the whole image
+  const area = { x: x0, y: y0, width: x1 - x0 + template.width, height: y1 - y0 + template.height }
+  const { sum, sumSq } = getSummedAreaTables(image, area)
+  const stride = area.width + 1
+  const n = template.width * template.height
+  const windowSum = (table, x, y) => {
+    const left = x - area.x
+    const top = y - area.y
+    return table[(top + template.height) * stride + left + template.width] - table[top * stride + left + template.width] -
+      table[(top + template.height) * stride + left] + table[top * stride + left]
+  }
+
+  let best = null
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const s = windowSum(sum, x, y)
+      const variance = windowSum(sumSq, x, y) - s * s / n
+      if (variance <= 1e-6) continue
+
+      // The template is zero-mean, so the area mean drops out of the product
+      let cross = 0
+      for (let ty = 0; ty < template.height; ty++) {
+        const row = (y + ty) * image.width + x
+        const templateRow = ty * template.width
+        for (let tx = 0; tx < template.width; tx++) {
+          cross += template.values[templateRow + tx] * image.values[row + tx]
+        }
+      }
+      const score = cross / (template.norm * Math.sqrt(variance))
+      if (!best || score > best.score) best = { x, y, score }
+    }
+  }
+  return best
+}
+
+// Summed-area tables of the values and their squares over a rectangle of the image
+function getSummedAreaTables(image, { x: left, y: top, width, height }) {
+  const stride = width + 1
+  const sum = new Float64Array(stride * (height + 1))
+  const sumSq = new Float64Array(stride * (height + 1))
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0
+    let rowSumSq = 0
+    for (let x = 0; x < width; x++) {
+      const value = image.values[(top + y) * image.width + left + x]
+      rowSum += value
+      rowSumSq += value * value
+      sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + rowSum
+      sumSq[(y + 1) * stride + x + 1] = sumSq[y * stride + x + 1] + rowSumSq
+    }
+  }
+  return { sum, sumSq }
+}
+
+/**
+ * Zero-mean copy of a rectangle, or null when it is too small or featureless
+ */
+function extractTemplate(image, rect) {
+  if (rect.width < 1 || rect.height < 1) return null
+  const values = new Float32Array(rect.width * rect.height)
+  let mean = 0
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      const value = image.values[(rect.y + y) * image.width + rect.x + x]
+      values[y * rect.width + x] = value
+      mean += value
+    }
+  }
+  mean /= values.length
+
+  let norm = 0
+  for (let i = 0; i < values.length; i++) {
+    values[i] -= mean
+    norm += values[i] * values[i]
+  }
+  if (norm <= 1e-6) return null
+  return { width: rect.width, height: rect.height, values, norm: Math.sqrt(norm) }
+}
+
+function buildPyramid(image, levels) {
+  const pyramid = [image]
+  for (let level = 1; level <= levels; level++) {
+    pyramid.push(halve(pyramid[level - 1]))
+  }
+  return pyramid
+}
+
+// 2×2 box-averaged half-size copy
+function halve({ width, height, values }) {
+  const halfWidth = width >> 1
+  const halfHeight = height >> 1
+  const result = new Float32Array(halfWidth * halfHeight)
+  for (let y = 0; y < halfHeight; y++) {
+    for (let x = 0; x < halfWidth; x++) {
+      const i = y * 2 * width + x * 2
+      result[y * halfWidth + x] = (values[i] + values[i + 1] + values[i + width] + values[i + width + 1]) / 4
+    }
+  }
+  return { width: halfWidth, height: halfHeight, values: result }
+}
+
+/**
+ * Grayscale copy of a rectangle of a canvas, scaled down by the given factor
+ */
+function toGray(ctx, rect, scale = 1) {
+  let data
+  let width = rect.width
+  let height = rect.height
+  if (scale === 1) {
+    ({ data } = ctx.getImageData(rect.x, rect.y, width, height))
+  } else {
+    width = Math.max(1, Math.round(rect.width * scale))
+    height = Math.max(1, Math.round(rect.height * scale))
+    const sample = document.createElement('canvas')
+    sample.width = width
+    sample.height = height
+    const sampleCtx = sample.getContext('2d', { willReadFrequently: true })
+    sampleCtx.drawImage(ctx.canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height)
+    ;({ data } = sampleCtx.getImageData(0, 0, width, height))
+  }
+  const values = new Float32Array(width * height)
+  for (let i = 0; i < values.length; i++) {
+    values[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]
+  }
+  return { width, height, values }
+}
@@ -0,0 +1,254 @@
+import { computeIntensity, DEFAULT_METRIC } from './intensityMetrics'
+
+/**
+ * Pixel sets for the shape-based ROI tools
+ *
+ * Every tool returns horizontal spans [x, y, length, ...] in original image
+ * coordinates, which are painted into the paint mask (see paintMask) like
+ * any brush stroke.
+ */
+
+// Smallest intensity difference between a line and its surroundings that snapping accepts
+const MIN_LINE_CONTRAST = 2
+// Gaps (in pixels) tolerated while following a faint line
+const MAX_LINE_GAP = 3
+
+/**
+ * Pixels of an axis-aligned rectangle dragged between two image points
+ * @param {Object} start - {x, y} in image coordinates
+ * @param {Object} end - {x, y} in image coordinates
+ * @param {Object} bounds - Image {width, height}
+ * @returns {Array<number>} Spans [x, y, length, ...]
+ */
+export function rectangleSpans(start, end, bounds) {
+  const x0 = Math.max(0, Math.floor(Math.min(start.x, end.x)))
+  const y0 = Math.max(0, Math.floor(Math.min(start.y, end.y)))
+  const x1 = Math.min(bounds.width - 1, Math.floor(Math.max(start.x, end.x)))
+  const y1 = Math.min(bounds.height - 1, Math.floor(Math.max(start.y, end.y)))
+
+  const spans = []
+  if (x1 < x0) return spans
+  for (let y = y0; y <= y1; y++) spans.push(x0, y, x1 - x0 + 1)
+  return spans
+}
+
+/**
+ * Pixels whose centres lie inside a polygon (even-odd rule)
+ * @param {Array<Object>} points - Vertices {x, y} in image coordinates
+ * @param {Object} bounds - Image {width, height}
+ * @returns {Array<number>} Spans [x, y, length, ...]
+ */
+export function polygonSpans(points, bounds) {
+  if (points.length < 3) return []
+
+  const ys = points.map(point => point.y)
+  const y0 = Math.max(0, Math.floor(Math.min(...ys)))
+  const y1 = Math.min(bounds.height - 1, Math.ceil(Math.max(...ys)))
+
+  const spans = []
+  for (let y = y0; y <= y1; y++) {
+    const centerY = y + 0.5
+    // Where the polygon edges cross this scanline
+    const crossings = []
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i]
+      const b = points[(i + 1) % points.length]
+      if ((a.y <= centerY) !== (b.y <= centerY)) {
+        crossings.push(a.x + (centerY - a.y) / (b.y - a.y) * (b.x - a.x))
+      }
+    }
+    crossings.sort((a, b) => a - b)
+
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const from = Math.max(0, Math.ceil(crossings[i] - 0.5))
+      const to = Math.min(bounds.width - 1, Math.floor(crossings[i + 1] - 0.5))
+      if (to >= from) spans.push(from, y, to - from + 1)
+    }
+  }
+  return spans
+}
+
+/**
+ * Grow a region along the line band under a clicked point
+ *
+ * The band direction is taken from whichever profile through the seed
+ * (across rows or across columns) has the stronger peak, so the image should
+ * be straightened first. The band's width is where that profile stays above
+ * half its peak over the background (the median); along the band, the region
+ * is flood-filled from the seed over pixels above the same threshold.
+ *
+ * @param {ImageData} imageData - Window of the (rotated) image around the seed
+ * @param {Object} origin - {x, y} of the window in image coordinates
+ * @param {Object} seed - Clicked point {x, y} in image coordinates
+ * @param {Object} options
+ * @param {string} options.metric - Key of INTENSITY_METRICS; higher values mean a darker line
+ * @returns {Array<number>|null} Spans [x, y, length, ...] in image coordinates, or null when no line is found
+ */
+export function lineRegionSpans(imageData, origin, seed, { metric = DEFAULT_METRIC } = {}) {
+  const { width, height, data } = imageData
+  const seedX = Math.floor(seed.x - origin.x)
+  const seedY = Math.floor(seed.y - origin.y)
+  if (seedX < 0 || seedY < 0 || seedX >= width || seedY >= height) return null
+
+  const values = new Float32Array(width * height)
+  for (let i = 0; i < values.length; i++) {
+    values[i] = computeIntensity({ r: data[i * 4], g: data[i * 4 + 1], b: data[i * 4 + 2] }, metric)
+  }
+  const smooth = boxBlur(values, width, height)
+  const at = (x, y) => smooth[y * width + x]
+
+  // Mean profiles through the seed over a span on either side
+  const span = Math.max(4, Math.round(Math.min(width, height) / 4))
+  const rowProfile = meanProfile(height, y => rangeMean(seedX - span, seedX + span, width, x => at(x, y)))
+  const columnProfile = meanProfile(width, x => rangeMean(seedY - span, seedY + span, height, y => at(x, y)))
+  const rowPeak = findPeak(rowProfile, seedY)
+  const columnPeak = findPeak(columnProfile, seedX)
+
+  // A horizontal line shows up as a peak in the row profile
+  const horizontal = rowPeak.contrast >= columnPeak.contrast
+  const { index: peakIndex, value: peakValue, background, contrast } = horizontal ? rowPeak : columnPeak
+  if (contrast < MIN_LINE_CONTRAST) return null
+
+  const threshold = background + contrast / 2
+  const profile = horizontal ? rowProfile : columnProfile
+  let bandStart = peakIndex
+  let bandEnd = peakIndex
+  while (bandStart > 0 && profile[bandStart - 1] >= threshold) bandStart--
+  while (bandEnd < profile.length - 1 && profile[bandEnd + 1] >= threshold) bandEnd++
+  // Allow the fill to follow a slightly tilted or uneven line
+  // The line itself, without the padding, decides where gaps are bridged
+  const line = { start: bandStart, end: bandEnd }
+  const pad = Math.max(1, Math.round((bandEnd - bandStart + 1) / 2))
+  bandStart = Math.max(0, bandStart - pad)
+  bandEnd = Math.min(profile.length - 1, bandEnd + pad)
+
+  // Flood fill from the peak next to the seed, inside the band
+  const startX = horizontal ? seedX : peakIndex
+  const startY = horizontal ? peakIndex : seedY
+  if (peakValue < threshold || at(startX, startY) < threshold) return null
+
+  const inBand = (x, y) => horizontal
+    ? y >= bandStart && y <= bandEnd && x >= 0 && x < width
+    : x >= bandStart && x <= bandEnd && y >= 0 && y < height
+  const selected = new Uint8Array(width * height)
+  const stack = [startX, startY]
+  selected[startY * width + startX] = 1
+  // Extent of the fill along the band
+  let min = horizontal ? startX : startY
+  let max = min
+
+  while (stack.length > 0) {
+    const y = stack.pop()
+    const x = stack.pop()
+    const position = horizontal ? x : y
+    if (position < min) min = position
+    if (position > max) max = position
+    for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+      if (!inBand(nx, ny)) continue
+      const i = ny * width + nx
+      if (selected[i] || smooth[i] < threshold) continue
+      selected[i] = 1
+      stack.push(nx, ny)
+    }
+  }
+
+  bridgeGaps(selected, smooth, width, horizontal, { line, bandStart, bandEnd, min, max }, threshold)
+  return toSpans(selected, width, origin)
+}
+
+/**
+ * Faint lines break up into pieces; extend the region along the band across
+ * gaps of up to MAX_LINE_GAP pixels where the band mean is still above the threshold
+ */
+function bridgeGaps(selected, smooth, width, horizontal, { line, bandStart, bandEnd, min, max }, threshold) {
+  const height = smooth.length / width
+  const length = horizontal ? width : height
+  const bandMean = meanProfile(length, position => rangeMean(line.start, line.end, horizontal ? height : width,
+    offset => horizontal ? smooth[offset * width + position] : smooth[position * width + offset]))
+
+  const extend = (from, step) => {
+    let position = from
+    let gap = 0
+    while (position + step >= 0 && position + step < length && gap <= MAX_LINE_GAP) {
+      position += step
+      gap = bandMean[position] >= threshold ? 0 : gap + 1
+    }
+    return position - step * gap
+  }
+  const start = extend(min, -1)
+  const end = extend(max, 1)
+
+  for (let position = start; position <= end; position++) {
+    if (position >= min && position <= max) continue
+    if (bandMean[position] < threshold) continue
+    for (let offset = bandStart; offset <= bandEnd; offset++) {
+      const x = horizontal ? position : offset
+      const y = horizontal ? offset : position
+      if (smooth[y * width + x] >= threshold) selected[y * width + x] = 1
+    }
+  }
+}
+
+// Horizontal spans of a window bitmap, in image coordinates
+function toSpans(bits, width, origin) {
+  const spans = []
+  const height = bits.length / width
+  for (let y = 0; y < height; y++) {
+    let start = -1
+    for (let x = 0; x <= width; x++) {
+      const set = x < width && bits[y * width + x]
+      if (set && start === -1) start = x
+      if (!set && start !== -1) {
+        spans.push(start + origin.x, y + origin.y, x - start)
+        start = -1
+      }
+    }
+  }
+  return spans
+}
+
+function findPeak(profile, around) {
+  let index = around
+  for (let i = Math.max(0, around - 2); i <= Math.min(profile.length - 1, around + 2); i++) {
+    if (profile[i] > profile[index]) index = i
+  }
+  const sorted = Float32Array.from(profile).sort()
+  const background = sorted[Math.floor(sorted.length / 2)]
+  return { index, value: profile[index], background, contrast: profile[index] - background }
+}
+
+function meanProfile(length, valueAt) {
+  const profile = new Float32Array(length)
+  for (let i = 0; i < length; i++) profile[i] = valueAt(i)
+  return profile
+}
+
+function rangeMean(from, to, limit, valueAt) {
+  const start = Math.max(0, from)
+  const end = Math.min(limit - 1, to)
+  let sum = 0
+  for (let i = start; i <= end; i++) sum += valueAt(i)
+  return end >= start ? sum / (end - start + 1) : 0
+}
+
+// 3×3 box blur to keep sensor noise from breaking up the fill
+function boxBlur(values, width, height) {
+  const result = new Float32Array(values.length)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0
+      let count = 0
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx
+          const ny = y + dy
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue
+          sum += values[ny * width + nx]
+          count++
+        }
+      }
+      result[y * width + x] = sum / count
+    }
+  }
+  return result
+}
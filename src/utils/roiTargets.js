@@ -0,0 +1,32 @@
+/**
+ * The regions that can be painted on each image.
+ * `field` is the property on the image object the saved ROI is stored under.
+ */
+export const ROI_TARGETS = {
+  test: {
+    label: 'Test line',
+    field: 'roi',
+    paintColor: 'rgba(0, 255, 0, 0.3)',
+    outlineColor: 'rgba(0, 160, 0, 0.9)',
+  },
+  control: {
+    label: 'Control line',
+    field: 'controlRoi',
+    paintColor: 'rgba(255, 0, 0, 0.3)',
+    outlineColor: 'rgba(200, 0, 0, 0.9)',
+  },
+  background: {
+    label: 'Background',
+    field: 'backgroundRoi',
+    paintColor: 'rgba(0, 120, 255, 0.3)',
+    outlineColor: 'rgba(0, 90, 200, 0.9)',
+  },
+  white: {
+    label: 'White reference',
+    field: 'whiteRoi',
+    paintColor: 'rgba(255, 190, 0, 0.3)',
+    outlineColor: 'rgba(200, 140, 0, 0.9)',
+  },
+}
+
+export const DEFAULT_ROI_TARGET = 'test'
@@ -0,0 +1,111 @@
+import { collectResults, getAnalysisKey, analysesFromResults } from './analysisCache'
+import { INTENSITY_METRICS, DEFAULT_METRIC } from './intensityMetrics'
+import { LINE_DETECTORS, DEFAULT_DETECTOR } from './lineDetectors'
+import { groupByDay } from './progression'
+
+/**
+ * Independent series of tests within a session, e.g. one per strip brand
+ *
+ * In memory a series is { id, name, images, analyses, metric, detector }:
+ * its own images, analysis cache (see analysisCache) and analysis settings.
+ * Sessions store the images of all series in one list, each with the
+ * `seriesId` it belongs to, plus the series definitions
+ * [{ id, name, settings: { metric, detector } }]. Sessions saved before
+ * series existed load as a single series.
+ */
+
+export const DEFAULT_SERIES_NAME = 'Series 1'
+
+let nextSeriesId = Date.now()
+
+/**
+ * Create an empty series, ignoring unknown or missing settings
+ * @param {string} name - Series name
+ * @param {Object} settings - { metric, detector }
+ */
+export function createSeries(name, settings = {}) {
+  return {
+    id: nextSeriesId++,
+    name,
+    images: [],
+    analyses: new Map(),
+    metric: INTENSITY_METRICS[settings.metric] ? settings.metric : DEFAULT_METRIC,
+    detector: LINE_DETECTORS[settings.detector] ? settings.detector : DEFAULT_DETECTOR,
+  }
+}
+
+// Series are updated immutably, so derived values can be kept per series object
+const derivedCache = new WeakMap()
+
+/**
+ * Analysis keys and results of a series
+ * @returns {Object} { keys: Map of image id → analysis key, results (see collectResults) }
+ */
+export function deriveSeries(series) {
+  if (!derivedCache.has(series)) {
+    const keys = new Map(series.images.map(img => [img.id, getAnalysisKey(img, series)]))
+    derivedCache.set(series, {
+      keys,
+      results: collectResults(series.images, series.analyses, keys, series.metric),
+    })
+  }
+  return derivedCache.get(series)
+}
+
+/**
+ * Flatten the series into the stored session form
+ * @returns {Object} { images (each with seriesId), results, series definitions }
+ */
+export function flattenSeries(seriesList) {
+  return {
+    images: seriesList.flatMap(series => series.images.map(img => ({ ...img, seriesId: series.id }))),
+    results: seriesList.flatMap(series => deriveSeries(series).results),
+    series: seriesList.map(({ id, name, metric, detector }) => ({ id, name, settings: { metric, detector } })),
+  }
+}
+
+/**
+ * Rebuild the series of a saved or imported session
+ * Images whose series is unknown join the first series.
+ *
+ * @param {Object} stored - { series (definitions, or missing for older sessions), settings, images, results },
+ *   images already rebuilt with fromStoredImage
+ * @returns {Array<Object>} In-memory series
+ */
+export function restoreSeries({ series, settings = {}, images, results = [] }) {
+  const definitions = Array.isArray(series) && series.length > 0
+    ? series
+    : [{ id: null, name: DEFAULT_SERIES_NAME, settings }]
+
+  const seriesList = definitions.map(definition => ({
+    ...createSeries(definition.name || DEFAULT_SERIES_NAME, definition.settings),
+    ...(definition.id !== null && definition.id !== undefined ? { id: definition.id } : {}),
+  }))
+  const ids = new Set(seriesList.map(item => item.id))
+  const imagesBySeries = new Map(seriesList.map(item => [item.id, []]))
+  images.forEach(img => {
+    imagesBySeries.get(ids.has(img.seriesId) ? img.seriesId : seriesList[0].id).push(img)
+  })
+
+  return seriesList.map(item => {
+    const seriesImages = imagesBySeries.get(item.id)
+    return {
+      ...item,
+      images: seriesImages,
+      analyses: analysesFromResults(results, seriesImages, item),
+    }
+  })
+}
+
+/**
+ * Day means of a series relative to its first day, for comparing series
+ * whose values are on different scales
+ * @param {Array<Object>} results - Results of the series (see calculateProgression)
+ * @returns {Array<Object>|null} [{ dpo, value }], or null when the first day's
+ *   mean is not positive and cannot be used as the baseline
+ */
+export function normalizeToFirstDay(results) {
+  const days = groupByDay(results).filter(day => Number.isFinite(day.mean))
+  if (days.length === 0 || !(days[0].mean > 0)) return null
+  return days.map(day => ({ dpo: day.dpo, value: day.mean / days[0].mean }))
+}
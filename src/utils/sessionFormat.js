@@ -0,0 +1,108 @@
+/**
+ * Conversion between in-memory App state and persisted session records
+ *
+ * In memory an image is { id, file, url, ...per-image fields }, where `url`
+ * is an object URL that only lives as long as the page. Persisted images
+ * replace `file`/`url` with the raw Blob plus the file metadata needed to
+ * rebuild the File.
+ */
+
+// Per-image fields saved with a session
+export const IMAGE_FIELDS = [
+  'seriesId', 'hash', 'captureTime', 'transform', 'roi', 'controlRoi', 'backgroundRoi', 'whiteRoi',
+  'roiPlacement', 'dpo', 'dpoSource', 'timeOfDay', 'rgb', 'detection',
+]
+
+/**
+ * Convert an in-memory image to its stored form
+ */
+export function toStoredImage(image) {
+  const stored = {
+    id: image.id,
+    name: image.file.name,
+    type: image.file.type,
+    lastModified: image.file.lastModified,
+    blob: image.file,
+  }
+  IMAGE_FIELDS.forEach(field => {
+    stored[field] = image[field] ?? null
+  })
+  return stored
+}
+
+/**
+ * Rebuild an in-memory image from its stored form
+ * Creates a new object URL, which the caller must revoke when the image is discarded.
+ */
+export function fromStoredImage(stored) {
+  const file = new File([stored.blob], stored.name, {
+    type: stored.type,
+    lastModified: stored.lastModified,
+  })
+  const image = {
+    id: stored.id,
+    file,
+    url: URL.createObjectURL(file),
+  }
+  IMAGE_FIELDS.forEach(field => {
+    image[field] = stored[field] ?? null
+  })
+  return image
+}
+
+/**
+ * Build a session record from App state
+ * @param {Object} session - Existing session metadata {id, name, createdAt} (id may be null)
+ * @param {Object} state - { images, results, settings, series } (see flattenSeries)
+ */
+export function createSessionRecord({ id = null, name, createdAt = null }, { images, results, settings, series }) {
+  return {
+    id,
+    name,
+    createdAt,
+    settings,
+    series,
+    images: images.map(toStoredImage),
+    results,
+  }
+}
+
+// Identifies exported session bundles (JSON files)
+export const SESSION_BUNDLE_FORMAT = 'hcg-measurement-session'
+// Version 2 added series; version 1 bundles hold a single series
+export const SESSION_BUNDLE_VERSION = 2
+
+/**
+ * Build a self-contained JSON session bundle
+ * Images are embedded as data URLs so the bundle can be imported on another machine.
+ *
+ * @param {string} name - Session name
+ * @param {Object} state - { images, results, settings, series }
+ * @returns {Promise<Object>} Plain object ready for JSON.stringify
+ */
+export async function createSessionBundle(name, { images, results, settings, series }) {
+  const bundledImages = await Promise.all(images.map(async image => {
+    const { blob, ...stored } = toStoredImage(image)
+    return { ...stored, dataUrl: await readAsDataURL(blob) }
+  }))
+
+  return {
+    format: SESSION_BUNDLE_FORMAT,
+    version: SESSION_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    name,
+    settings,
+    series,
+    images: bundledImages,
+    results,
+  }
+}
+
+function readAsDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
@@ -0,0 +1,435 @@
+import { SESSION_BUNDLE_FORMAT, SESSION_BUNDLE_VERSION, IMAGE_FIELDS } from './sessionFormat'
+import { hashFile } from './fileHash'
+import { TIME_OF_DAY } from './dpo'
+import { ROI_TARGETS } from './roiTargets'
+
+/**
+ * Parse and validate an exported session bundle (see createSessionBundle)
+ * Never throws: problems are reported as a list of per-field errors so the UI
+ * can show exactly what is wrong with the file.
+ *
+ * @param {string} text - Contents of the JSON file
+ * @returns {Object} { bundle, errors: [{ path, message }], missing: [image entries without embedded data] }
+ */
+export function parseSessionBundle(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (err) {
+    return { bundle: null, errors: [{ path: '(file)', message: `Not valid JSON: ${err.message}` }], missing: [] }
+  }
+
+  const errors = validateSessionBundle(data)
+  if (errors.length > 0) return { bundle: null, errors, missing: [] }
+
+  return {
+    bundle: data,
+    errors: [],
+    missing: data.images.filter(image => !image.dataUrl),
+  }
+}
+
+/**
+ * Validate the structure of a session bundle
+ * @returns {Array<Object>} Errors [{ path, message }]; empty when valid
+ */
+export function validateSessionBundle(data) {
+  const errors = []
+  const error = (path, message) => errors.push({ path, message })
+
+  if (!isObject(data)) {
+    error('(file)', 'must contain a JSON object')
+    return errors
+  }
+  if (data.format !== SESSION_BUNDLE_FORMAT) {
+    error('format', `must be "${SESSION_BUNDLE_FORMAT}"`)
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    error('version', 'must be a positive integer')
+  } else if (data.version > SESSION_BUNDLE_VERSION) {
+    error('version', `${data.version} is newer than the supported version ${SESSION_BUNDLE_VERSION}`)
+  }
+  if (data.name !== undefined && data.name !== null && typeof data.name !== 'string') {
+    error('name', 'must be a string')
+  }
+  if (data.settings !== undefined && data.settings !== null && !isObject(data.settings)) {
+    error('settings', 'must be an object')
+  }
+
+  const seriesIds = new Set()
+  if (data.series !== undefined && data.series !== null) {
+    if (!Array.isArray(data.series)) {
+      error('series', 'must be an array')
+    } else {
+      data.series.forEach((series, index) => {
+        const path = `series[${index}]`
+        if (!isObject(series)) {
+          error(path, 'must be an object')
+          return
+        }
+        if (!isId(series.id)) {
+          error(`${path}.id`, 'must be a number or string')
+        } else if (seriesIds.has(series.id)) {
+          error(`${path}.id`, `duplicates the id of another series (${series.id})`)
+        } else {
+          seriesIds.add(series.id)
+        }
+        if (typeof series.name !== 'string' || series.name === '') {
+          error(`${path}.name`, 'must be a non-empty name')
+        }
+        if (series.settings !== undefined && series.settings !== null && !isObject(series.settings)) {
+          error(`${path}.settings`, 'must be an object')
+        }
+      })
+    }
+  }
+
+  if (!Array.isArray(data.images)) {
+    error('images', 'must be an array')
+    return errors
+  }
+
+  const ids = new Set()
+  data.images.forEach((image, index) => {
+    const path = `images[${index}]`
+    if (!isObject(image)) {
+      error(path, 'must be an object')
+      return
+    }
+    if (!isId(image.id)) {
+      error(`${path}.id`, 'must be a number or string')
+    } else if (ids.has(image.id)) {
+      error(`${path}.id`, `duplicates the id of another image (${image.id})`)
+    } else {
+      ids.add(image.id)
+    }
+    if (typeof image.name !== 'string' || image.name === '') {
+      error(`${path}.name`, 'must be a non-empty file name')
+    }
+    if (image.dataUrl !== undefined && image.dataUrl !== null &&
+        (typeof image.dataUrl !== 'string' || !image.dataUrl.startsWith('data:image/'))) {
+      error(`${path}.dataUrl`, 'must be an image data URL (data:image/...)')
+    }
+    if (!isNullable(image.dpo, isFiniteNumber) || (isFiniteNumber(image.dpo) && image.dpo < 0)) {
+      error(`${path}.dpo`, 'must be a non-negative number or null')
+    }
+    if (!isNullable(image.dpoSource, value => value === 'exif' || value === 'manual')) {
+      error(`${path}.dpoSource`, 'must be "exif", "manual" or null')
+    }
+    if (!isNullable(image.seriesId, value => seriesIds.has(value))) {
+      error(`${path}.seriesId`, 'must reference one of the series or be null')
+    }
+    if (!isNullable(image.timeOfDay, value => Object.hasOwn(TIME_OF_DAY, value))) {
+      error(`${path}.timeOfDay`, `must be ${Object.keys(TIME_OF_DAY).map(key => `"${key}"`).join(', ')} or null`)
+    }
+    if (!isNullable(image.captureTime, isFiniteNumber)) {
+      error(`${path}.captureTime`, 'must be a timestamp in milliseconds or null')
+    }
+    if (image.transform !== undefined && image.transform !== null &&
+        (!isObject(image.transform) || !isFiniteNumber(image.transform.rotation))) {
+      error(`${path}.transform`, 'must be null or an object with a numeric rotation')
+    }
+    if (image.roiPlacement !== undefined && image.roiPlacement !== null &&
+        (!isObject(image.roiPlacement) || !isFiniteNumber(image.roiPlacement.confidence))) {
+      error(`${path}.roiPlacement`, 'must be null or an object with a numeric confidence')
+    }
+    ;['roi', 'controlRoi', 'backgroundRoi', 'whiteRoi'].forEach(field => {
+      if (image[field] !== undefined && image[field] !== null) {
+        validateROI(image[field], `${path}.${field}`, error)
+      }
+    })
+    if (image.rgb !== undefined && image.rgb !== null) {
+      validateRGB(image.rgb, `${path}.rgb`, error)
+    }
+    if (image.detection !== undefined && image.detection !== null) {
+      validateDetection(image.detection, `${path}.detection`, error)
+    }
+  })
+
+  if (data.results !== undefined && data.results !== null) {
+    if (!Array.isArray(data.results)) {
+      error('results', 'must be an array')
+    } else {
+      data.results.forEach((result, index) => {
+        const path = `results[${index}]`
+        if (!isObject(result)) {
+          error(path, 'must be an object')
+          return
+        }
+        if (!ids.has(result.imageId)) {
+          error(`${path}.imageId`, 'must reference one of the images')
+        }
+        if (!isFiniteNumber(result.dpo)) error(`${path}.dpo`, 'must be a number')
+        if (!isFiniteNumber(result.intensity)) error(`${path}.intensity`, 'must be a number')
+        validateRGB(result.rgb, `${path}.rgb`, error)
+        if (!isNullable(result.tcRatio, isFiniteNumber)) {
+          error(`${path}.tcRatio`, 'must be a number or null')
+        }
+        if (result.diagnostics !== undefined && result.diagnostics !== null) {
+          validateDiagnostics(result.diagnostics, `${path}.diagnostics`, error)
+        }
+        if (result.detection !== undefined && result.detection !== null) {
+          validateDetection(result.detection, `${path}.detection`, error)
+        }
+        ;['control', 'background'].forEach(field => {
+          if (result[field] !== undefined && result[field] !== null) {
+            validateMeasurement(result[field], `${path}.${field}`, error)
+          }
+        })
+        if (result.calibrated !== undefined && result.calibrated !== null) {
+          validateCalibrated(result.calibrated, `${path}.calibrated`, error)
+        }
+      })
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Build stored-form images (see sessionFormat) from a validated bundle
+ * Embedded images are decoded from their data URLs; the others are taken from
+ * `linkedFiles`, keyed by image id. Images without data are skipped.
+ *
+ * @param {Object} bundle - Validated session bundle
+ * @param {Map<*, File>} linkedFiles - Files re-linked by the user
+ * @returns {Array<Object>} Images in stored form, ready for fromStoredImage
+ */
+export function createStoredImages(bundle, linkedFiles = new Map()) {
+  return bundle.images
+    .map(image => {
+      const blob = image.dataUrl ? dataURLToBlob(image.dataUrl) : linkedFiles.get(image.id)
+      if (!blob) return null
+
+      const stored = {
+        id: image.id,
+        name: image.name,
+        type: blob.type || image.type || '',
+        lastModified: image.lastModified ?? Date.now(),
+        blob,
+      }
+      IMAGE_FIELDS.forEach(field => {
+        stored[field] = image[field] ?? null
+      })
+      // The hash of a re-linked file is recomputed on the next upload
+      if (!image.dataUrl) stored.hash = null
+      return stored
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Match dropped files to bundle images that have no embedded data
+ * Files are matched by file name first and by content hash otherwise.
+ *
+ * @param {Array<Object>} missing - Bundle image entries without data
+ * @param {Array<File>} files - Files dropped or picked by the user
+ * @returns {Promise<Object>} { linked: Map<imageId, File>, unmatched: Array<File> }
+ */
+export async function matchMissingImages(missing, files) {
+  const linked = new Map()
+  const unmatched = []
+
+  for (const file of files) {
+    let entry = missing.find(image => !linked.has(image.id) && image.name === file.name)
+    if (!entry) {
+      const candidates = missing.filter(image => !linked.has(image.id) && image.hash)
+      if (candidates.length > 0) {
+        const hash = await hashFile(file)
+        entry = candidates.find(image => image.hash === hash)
+      }
+    }
+    if (entry) {
+      linked.set(entry.id, file)
+    } else {
+      unmatched.push(file)
+    }
+  }
+
+  return { linked, unmatched }
+}
+
+function validateROI(roi, path, error) {
+  if (!isObject(roi)) {
+    error(path, 'must be an object or null')
+    return
+  }
+  // ROIs are whole image pixels; painting and the analysis index pixels with them
+  ;['x', 'y'].forEach(key => {
+    if (!Number.isInteger(roi[key]) || roi[key] < 0) error(`${path}.${key}`, 'must be a non-negative integer')
+  })
+  ;['width', 'height'].forEach(key => {
+    if (!Number.isInteger(roi[key]) || roi[key] <= 0) error(`${path}.${key}`, 'must be a positive integer')
+  })
+  if (roi.mask !== undefined && roi.mask !== null) {
+    validateMask(roi.mask, `${path}.mask`, error)
+    // A mask of another size would be ignored, measuring the whole box instead
+    if (isObject(roi.mask) && Number.isInteger(roi.width) && Number.isInteger(roi.height) &&
+        (roi.mask.width !== roi.width || roi.mask.height !== roi.height)) {
+      error(`${path}.mask`, `must be ${roi.width}×${roi.height}, the size of the ROI`)
+    }
+  }
+}
+
+// Run-length mask {width, height, runs} (see encodeMask)
+function validateMask(mask, path, error) {
+  if (!isObject(mask)) {
+    error(path, 'must be an object')
+    return
+  }
+  if (!Number.isInteger(mask.width) || mask.width <= 0) error(`${path}.width`, 'must be a positive integer')
+  if (!Number.isInteger(mask.height) || mask.height <= 0) error(`${path}.height`, 'must be a positive integer')
+  if (!Array.isArray(mask.runs) || mask.runs.length % 2 !== 0 ||
+      !mask.runs.every(value => Number.isInteger(value) && value >= 0)) {
+    error(`${path}.runs`, 'must be an even-length array of non-negative integers')
+  } else if (Number.isInteger(mask.width) && Number.isInteger(mask.height)) {
+    const size = mask.width * mask.height
+    for (let i = 0; i < mask.runs.length; i += 2) {
+      if (mask.runs[i] + mask.runs[i + 1] > size) {
+        error(`${path}.runs`, `run at index ${i} extends past the ${mask.width}×${mask.height} mask`)
+        break
+      }
+    }
+  }
+}
+
+// Detected line pixels per ROI target, { [target]: { x, y, width, height, selection, candidates } or null }
+function validateDetection(detection, path, error) {
+  if (!isObject(detection)) {
+    error(path, 'must be an object or null')
+    return
+  }
+  Object.entries(detection).forEach(([target, line]) => {
+    if (!Object.hasOwn(ROI_TARGETS, target)) {
+      error(`${path}.${target}`, `is not an ROI target (${Object.keys(ROI_TARGETS).join(', ')})`)
+      return
+    }
+    if (line !== null) validateDetectedLine(line, `${path}.${target}`, error)
+  })
+}
+
+function validateDetectedLine(line, path, error) {
+  if (!isObject(line)) {
+    error(path, 'must be an object or null')
+    return
+  }
+  ;['x', 'y'].forEach(key => {
+    if (!isFiniteNumber(line[key]) || line[key] < 0) error(`${path}.${key}`, 'must be a non-negative number')
+  })
+  ;['width', 'height'].forEach(key => {
+    if (!Number.isInteger(line[key]) || line[key] <= 0) error(`${path}.${key}`, 'must be a positive integer')
+  })
+  validateMask(line.selection, `${path}.selection`, error)
+  validateMask(line.candidates, `${path}.candidates`, error)
+}
+
+// Detector diagnostics (see runLineDetector)
+function validateDiagnostics(diagnostics, path, error) {
+  if (!isObject(diagnostics)) {
+    error(path, 'must be an object or null')
+    return
+  }
+  if (typeof diagnostics.detector !== 'string') error(`${path}.detector`, 'must be a detector name')
+  if (!isNullable(diagnostics.threshold, isFiniteNumber)) error(`${path}.threshold`, 'must be a number or null')
+  if (!Number.isInteger(diagnostics.pixelCount) || diagnostics.pixelCount < 0) {
+    error(`${path}.pixelCount`, 'must be a non-negative integer')
+  }
+  if (typeof diagnostics.fallback !== 'boolean') error(`${path}.fallback`, 'must be true or false')
+  if (!isFiniteNumber(diagnostics.confidence) || diagnostics.confidence < 0 || diagnostics.confidence > 1) {
+    error(`${path}.confidence`, 'must be a number from 0 to 1')
+  }
+}
+
+// Control-line or background measurement { rgb, intensity } with the line's diagnostics
+function validateMeasurement(measurement, path, error) {
+  if (!isObject(measurement)) {
+    error(path, 'must be an object or null')
+    return
+  }
+  validateRGB(measurement.rgb, `${path}.rgb`, error)
+  if (!isFiniteNumber(measurement.intensity)) error(`${path}.intensity`, 'must be a number')
+  if (measurement.diagnostics !== undefined && measurement.diagnostics !== null) {
+    validateDiagnostics(measurement.diagnostics, `${path}.diagnostics`, error)
+  }
+  if (measurement.detection !== undefined && measurement.detection !== null) {
+    validateDetectedLine(measurement.detection, `${path}.detection`, error)
+  }
+}
+
+// White-balanced values are not clamped (see applyWhiteBalance), so they may exceed 255
+function validateCalibrated(calibrated, path, error) {
+  if (!isObject(calibrated)) {
+    error(path, 'must be an object or null')
+    return
+  }
+  validateRGB(calibrated.rgb, `${path}.rgb`, error, { clamped: false })
+  if (!isFiniteNumber(calibrated.intensity)) error(`${path}.intensity`, 'must be a number')
+  ;['control', 'background'].forEach(field => {
+    const measurement = calibrated[field]
+    if (measurement === undefined || measurement === null) return
+    if (!isObject(measurement)) {
+      error(`${path}.${field}`, 'must be an object or null')
+      return
+    }
+    validateRGB(measurement.rgb, `${path}.${field}.rgb`, error, { clamped: false })
+    if (!isFiniteNumber(measurement.intensity)) error(`${path}.${field}.intensity`, 'must be a number')
+  })
+  ;['testSignal', 'controlSignal', 'tcRatio'].forEach(field => {
+    if (!isNullable(calibrated[field], isFiniteNumber)) error(`${path}.${field}`, 'must be a number or null')
+  })
+
+  const { reference } = calibrated
+  if (!isObject(reference)) {
+    error(`${path}.reference`, 'must be an object {rgb, gains, clipped}')
+    return
+  }
+  validateRGB(reference.rgb, `${path}.reference.rgb`, error)
+  if (!isObject(reference.gains)) {
+    error(`${path}.reference.gains`, 'must be an object {r, g, b}')
+  } else {
+    ;['r', 'g', 'b'].forEach(key => {
+      if (!isFiniteNumber(reference.gains[key]) || reference.gains[key] <= 0) {
+        error(`${path}.reference.gains.${key}`, 'must be a positive number')
+      }
+    })
+  }
+  if (typeof reference.clipped !== 'boolean') error(`${path}.reference.clipped`, 'must be true or false')
+}
+
+function validateRGB(rgb, path, error, { clamped = true } = {}) {
+  if (!isObject(rgb)) {
+    error(path, 'must be an object {r, g, b}')
+    return
+  }
+  ;['r', 'g', 'b'].forEach(key => {
+    if (!isFiniteNumber(rgb[key]) || rgb[key] < 0 || (clamped && rgb[key] > 255)) {
+      error(`${path}.${key}`, clamped ? 'must be a number from 0 to 255' : 'must be a non-negative number')
+    }
+  })
+}
+
+function dataURLToBlob(dataUrl) {
+  const [header, data] = dataUrl.split(',', 2)
+  const type = header.slice(5).split(';')[0]
+  const isBase64 = header.endsWith(';base64')
+  const text = isBase64 ? atob(data) : decodeURIComponent(data)
+  const bytes = new Uint8Array(text.length)
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i)
+  return new Blob([bytes], { type })
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+function isId(value) {
+  return isFiniteNumber(value) || (typeof value === 'string' && value !== '')
+}
+
+function isNullable(value, check) {
+  return value === null || value === undefined || check(value)
+}
@@ -0,0 +1,132 @@
+/**
+ * Local persistence of analysis sessions in IndexedDB
+ *
+ * A session record holds everything needed to reopen a series:
+ *   { id, name, createdAt, updatedAt, settings, series, images, results }
+ * Images of all series are kept in one list (see series). Images are stored with their original file as a Blob (see sessionFormat),
+ * so no re-upload is needed after a reload.
+ */
+
+const DB_NAME = 'hcg-measurement'
+const DB_VERSION = 1
+const STORE_NAME = 'sessions'
+
+let dbPromise = null
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Allow a later retry if opening failed
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+/**
+ * Run a single request against the sessions store
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = callback(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+function createSessionId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+}
+
+/**
+ * List saved sessions, most recently updated first
+ * @returns {Promise<Array<Object>>} Summaries {id, name, createdAt, updatedAt, imageCount, seriesCount}
+ */
+export async function listSessions() {
+  const sessions = await withStore('readonly', store => store.getAll())
+  return sessions
+    .map(({ id, name, createdAt, updatedAt, images, series }) => ({
+      id,
+      name,
+      createdAt,
+      updatedAt,
+      imageCount: images.length,
+      // Sessions saved before series existed hold one
+      seriesCount: series?.length || 1,
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+/**
+ * Load a full session record
+ * @returns {Promise<Object|undefined>} The session, or undefined if it does not exist
+ */
+export function getSession(id) {
+  return withStore('readonly', store => store.get(id))
+}
+
+/**
+ * Create or update a session
+ * @param {Object} session - Session record; an id is assigned when missing
+ * @returns {Promise<Object>} The stored session
+ */
+export async function saveSession(session) {
+  const now = Date.now()
+  const record = {
+    ...session,
+    id: session.id || createSessionId(),
+    createdAt: session.createdAt || now,
+    updatedAt: now,
+  }
+  await withStore('readwrite', store => store.put(record))
+  return record
+}
+
+/**
+ * Rename a saved session
+ */
+export async function renameSession(id, name) {
+  const session = await getSession(id)
+  if (!session) throw new Error('Session not found')
+  return saveSession({ ...session, name })
+}
+
+/**
+ * Copy a saved session under a new id
+ * @returns {Promise<Object>} The new session
+ */
+export async function duplicateSession(id, name) {
+  const session = await getSession(id)
+  if (!session) throw new Error('Session not found')
+  return saveSession({
+    ...session,
+    id: null,
+    createdAt: null,
+    name: name || `${session.name} (copy)`,
+  })
+}
+
+/**
+ * Delete a saved session
+ */
+export function deleteSession(id) {
+  return withStore('readwrite', store => store.delete(id))
+}
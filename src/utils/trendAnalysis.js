@@ -0,0 +1,182 @@
+/**
+ * Trend fitting for line-intensity progression over DPO
+ *
+ * Fits exponential and linear models to the DPO-sorted results, reports the
+ * doubling time with a 95% confidence interval and the R² of each fit, and
+ * flags days that deviate from the better-fitting trend.
+ */
+
+export const DEFAULT_DEVIATION_THRESHOLD = 0.25
+
+// Two-sided 95% Student's t quantiles for 1-30 degrees of freedom
+const T_QUANTILES_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+]
+
+/**
+ * Analyse the progression trend of a series of results
+ *
+ * @param {Array<Object>} results - Results sorted by DPO (see calculateProgression)
+ * @param {Object} options - Analysis options
+ * @param {string} options.valueKey - Result field to fit ('value', 'intensity' or 'tcRatio')
+ * @param {number} options.deviationThreshold - Relative deviation from the trend
+ *   (0.25 = 25%) above which a day is flagged
+ * @returns {Object} {
+ *   valueKey, exponential, linear, preferredModel, deviationThreshold,
+ *   points: [{ imageId, dpo, value, predicted, deviation, flagged }]
+ * }
+ */
+export function analyzeTrend(results, {
+  valueKey = 'value',
+  deviationThreshold = DEFAULT_DEVIATION_THRESHOLD,
+} = {}) {
+  const points = results
+    .map(result => ({ imageId: result.imageId, x: result.dpo, y: result[valueKey] }))
+    .filter(({ x, y }) => Number.isFinite(x) && Number.isFinite(y))
+
+  const exponential = fitExponential(points)
+  const linear = fitLinear(points)
+
+  // The trend used for deviation flags is whichever model explains more variance
+  const preferredModel = !exponential && !linear
+    ? null
+    : !linear || (exponential && exponential.r2 >= linear.r2) ? 'exponential' : 'linear'
+  const trend = preferredModel === 'exponential' ? exponential : linear
+
+  return {
+    valueKey,
+    exponential,
+    linear,
+    preferredModel,
+    deviationThreshold,
+    points: points.map(({ imageId, x, y }) => {
+      const predicted = trend ? trend.predict(x) : null
+      // Relative to the predicted value; fall back to absolute when it is ~0
+      const deviation = predicted === null
+        ? null
+        : (y - predicted) / (Math.abs(predicted) > 1e-9 ? Math.abs(predicted) : 1)
+      return {
+        imageId,
+        dpo: x,
+        value: y,
+        predicted,
+        deviation,
+        flagged: deviation !== null && Math.abs(deviation) > deviationThreshold,
+      }
+    }),
+  }
+}
+
+/**
+ * Fit y = a · e^(b·x) by least squares on ln(y)
+ * Only points with a positive value can be log-transformed, so the others are
+ * left out of the fit. R² is still computed over every point, on the original
+ * scale, so it is comparable with the linear fit of the same points.
+ *
+ * @param {Array<{x: number, y: number}>} points - Data points (x = DPO)
+ * @returns {Object|null} { a, b, r2, excluded, doublingTime, doublingTimeCI, predict } or
+ *   null when fewer than two usable points exist. excluded counts the points left
+ *   out of the fit. doublingTime is in days and null when the values are not
+ *   increasing; doublingTimeCI is [low, high] with high = Infinity when growth
+ *   is not significant.
+ */
+export function fitExponential(points) {
+  const finite = points.filter(({ x, y }) => Number.isFinite(x) && Number.isFinite(y))
+  const usable = finite.filter(({ y }) => y > 0)
+  const line = fitLeastSquares(usable.map(({ x, y }) => ({ x, y: Math.log(y) })))
+  if (!line) return null
+
+  const a = Math.exp(line.intercept)
+  const b = line.slope
+  const predict = (x) => a * Math.exp(b * x)
+
+  // Confidence interval of the growth rate maps to one of the doubling time
+  let doublingTimeCI = null
+  if (b > 0 && line.slopeStdError !== null) {
+    const margin = tQuantile95(usable.length - 2) * line.slopeStdError
+    const fastest = b + margin
+    const slowest = b - margin
+    doublingTimeCI = [Math.LN2 / fastest, slowest > 0 ? Math.LN2 / slowest : Infinity]
+  }
+
+  return {
+    a,
+    b,
+    r2: rSquared(finite, predict),
+    excluded: finite.length - usable.length,
+    doublingTime: b > 0 ? Math.LN2 / b : null,
+    doublingTimeCI,
+    predict,
+  }
+}
+
+/**
+ * Fit y = slope · x + intercept by ordinary least squares
+ * @returns {Object|null} { slope, intercept, r2, predict } or null when fewer
+ *   than two points exist or all share the same DPO
+ */
+export function fitLinear(points) {
+  const line = fitLeastSquares(points)
+  if (!line) return null
+
+  const predict = (x) => line.slope * x + line.intercept
+  return {
+    slope: line.slope,
+    intercept: line.intercept,
+    r2: rSquared(points, predict),
+    predict,
+  }
+}
+
+/**
+ * Ordinary least-squares straight line
+ * @returns {Object|null} { slope, intercept, slopeStdError } or null when x has
+ *   no spread. slopeStdError is null with fewer than three points.
+ */
+function fitLeastSquares(points) {
+  const n = points.length
+  if (n < 2) return null
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n
+  let sxx = 0
+  let sxy = 0
+  points.forEach(({ x, y }) => {
+    sxx += (x - meanX) ** 2
+    sxy += (x - meanX) * (y - meanY)
+  })
+  if (sxx === 0) return null
+
+  const slope = sxy / sxx
+  const intercept = meanY - slope * meanX
+
+  let slopeStdError = null
+  if (n > 2) {
+    const residualSum = points.reduce((sum, { x, y }) => sum + (y - (slope * x + intercept)) ** 2, 0)
+    slopeStdError = Math.sqrt(residualSum / (n - 2) / sxx)
+  }
+
+  return { slope, intercept, slopeStdError }
+}
+
+/**
+ * Coefficient of determination of a model on the given points
+ */
+function rSquared(points, predict) {
+  if (points.length < 2) return null
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length
+  let totalSum = 0
+  let residualSum = 0
+  points.forEach(({ x, y }) => {
+    totalSum += (y - meanY) ** 2
+    residualSum += (y - predict(x)) ** 2
+  })
+  return totalSum === 0 ? 1 : 1 - residualSum / totalSum
+}
+
+function tQuantile95(degreesOfFreedom) {
+  if (degreesOfFreedom < 1) return Infinity
+  return T_QUANTILES_95[degreesOfFreedom - 1] ?? 1.96
+}